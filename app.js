@@ -6,27 +6,100 @@ class ManiConstructionAPI {
     constructor() {
         this.baseURL = 'http://localhost:3000/api';
         this.token = localStorage.getItem('authToken');
+        this.refreshToken = localStorage.getItem('refreshToken');
+        // In-flight token refresh, shared by concurrent requests
+        this.refreshPromise = null;
+        // Idempotency keys for recent mutating requests, keyed by method + endpoint + body
+        this.idempotencyKeys = new Map();
+    }
+
+    // Reuse the same Idempotency-Key for an identical request (double click, retry)
+    // within a few minutes, so the server replays the first response instead of
+    // creating a second order or charge
+    getIdempotencyKey(method, endpoint, body) {
+        const fingerprint = `${method} ${endpoint} ${typeof body === 'string' ? body : ''}`;
+        const now = Date.now();
+
+        for (const [key, entry] of this.idempotencyKeys) {
+            if (entry.expires < now) this.idempotencyKeys.delete(key);
+        }
+
+        const existing = this.idempotencyKeys.get(fingerprint);
+        if (existing && typeof body === 'string') {
+            return { fingerprint, key: existing.key };
+        }
+
+        const key = (window.crypto && crypto.randomUUID)
+            ? crypto.randomUUID()
+            : `${now.toString(36)}-${Math.random().toString(36).slice(2)}`;
+        this.idempotencyKeys.set(fingerprint, { key, expires: now + 5 * 60 * 1000 });
+        return { fingerprint, key };
     }
 
-    // Set authentication token
-    setToken(token) {
+    // Set authentication tokens
+    setToken(token, refreshToken) {
         this.token = token;
         localStorage.setItem('authToken', token);
+        if (refreshToken) {
+            this.refreshToken = refreshToken;
+            localStorage.setItem('refreshToken', refreshToken);
+        }
     }
 
-    // Remove authentication token
+    // Remove authentication tokens
     removeToken() {
         this.token = null;
+        this.refreshToken = null;
         localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+    }
+
+    // Swap the refresh token for a new access token. Refresh tokens rotate on every
+    // use, so concurrent callers share one refresh instead of each sending the same token.
+    async refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                // Another tab may already have refreshed; pick up its tokens instead
+                const storedToken = localStorage.getItem('authToken');
+                if (storedToken && storedToken !== this.token) {
+                    this.token = storedToken;
+                    this.refreshToken = localStorage.getItem('refreshToken');
+                    return;
+                }
+
+                const response = await fetch(`${this.baseURL}/token/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refresh_token: this.refreshToken })
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    this.removeToken();
+                    throw new Error(data.error || 'Session expired, please log in again');
+                }
+
+                this.setToken(data.token, data.refresh_token);
+            })().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+
+        return this.refreshPromise;
     }
 
-    // Make API request
-    async makeRequest(endpoint, options = {}) {
+    // Make API request; an expired access token is refreshed and the request retried once
+    async makeRequest(endpoint, options = {}, retried = false) {
         const url = `${this.baseURL}${endpoint}`;
+        const method = (options.method || 'GET').toUpperCase();
+        // Let the browser set the multipart boundary for FormData uploads
+        const isFormData = options.body instanceof FormData;
+        const idempotency = method !== 'GET' ? this.getIdempotencyKey(method, endpoint, options.body) : null;
         const config = {
             headers: {
-                'Content-Type': 'application/json',
-                ...(this.token && { 'Authorization': `Bearer ${this.token}` })
+                ...(!isFormData && { 'Content-Type': 'application/json' }),
+                ...(this.token && { 'Authorization': `Bearer ${this.token}` }),
+                ...(idempotency && { 'Idempotency-Key': idempotency.key })
             },
             ...options
         };
@@ -35,8 +108,16 @@ class ManiConstructionAPI {
             const response = await fetch(url, config);
             const data = await response.json();
 
+            if (response.status === 401 && data.code === 'token_expired' && this.refreshToken && !retried) {
+                await this.refreshSession();
+                return await this.makeRequest(endpoint, options, true);
+            }
+
             if (!response.ok) {
-                throw new Error(data.error || 'Request failed');
+                // The server forgets keys for failed requests; use a fresh one next time
+                if (idempotency) this.idempotencyKeys.delete(idempotency.fingerprint);
+                // Validation failures carry per-field messages for FormValidator.showValidationErrors
+                throw Object.assign(new Error(data.error || 'Request failed'), { status: response.status, fields: data.fields });
             }
 
             return data;
@@ -54,7 +135,7 @@ class ManiConstructionAPI {
         });
         
         if (data.token) {
-            this.setToken(data.token);
+            this.setToken(data.token, data.refresh_token);
         }
         
         return data;
@@ -67,24 +148,179 @@ class ManiConstructionAPI {
         });
         
         if (data.token) {
-            this.setToken(data.token);
+            this.setToken(data.token, data.refresh_token);
         }
         
         return data;
     }
 
+    // Profile methods
+    async getProfile() {
+        return await this.makeRequest('/profile');
+    }
+
+    // Validated with FormValidator first; a rejected update throws an Error with .fields by field
+    async updateProfile(profileData) {
+        const validation = new FormValidator().validate(profileData);
+        if (!validation.isValid) {
+            throw Object.assign(new Error('Please correct the highlighted fields'), { fields: validation.errors });
+        }
+
+        const data = await this.makeRequest('/profile', {
+            method: 'PUT',
+            body: JSON.stringify(profileData)
+        });
+        localStorage.setItem('user', JSON.stringify(data.user));
+        return data;
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        const validation = new FormValidator().validate({ password: newPassword });
+        if (!validation.isValid) {
+            throw Object.assign(new Error(validation.errors.password), { fields: { new_password: validation.errors.password } });
+        }
+
+        return await this.makeRequest('/profile/password', {
+            method: 'PUT',
+            body: JSON.stringify({ current_password: currentPassword, new_password: newPassword })
+        });
+    }
+
+    // Emails a reset link; the response never says whether the email is registered
+    async requestPasswordReset(email) {
+        return await this.makeRequest('/password-reset/request', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+    }
+
+    async resetPassword(token, password) {
+        return await this.makeRequest('/password-reset/confirm', {
+            method: 'POST',
+            body: JSON.stringify({ token, password })
+        });
+    }
+
+    async verifyEmail(token) {
+        return await this.makeRequest('/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+    }
+
+    async resendVerificationEmail() {
+        return await this.makeRequest('/verify-email/resend', { method: 'POST' });
+    }
+
+    // Ends this session on the server too, so the refresh token can't be reused
     async logout() {
+        if (this.refreshToken) {
+            try {
+                await this.makeRequest('/logout', {
+                    method: 'POST',
+                    body: JSON.stringify({ refresh_token: this.refreshToken })
+                });
+            } catch (error) {
+                // Still sign out locally
+            }
+        }
+        this.removeToken();
+        window.location.href = 'login.html';
+    }
+
+    // Ends every session of this user, on all devices
+    async logoutAll() {
+        await this.makeRequest('/logout-all', { method: 'POST' });
         this.removeToken();
         window.location.href = 'login.html';
     }
 
+    // Address book methods
+    async getAddresses() {
+        return await this.makeRequest('/addresses');
+    }
+
+    async addAddress(addressData) {
+        return await this.makeRequest('/addresses', {
+            method: 'POST',
+            body: JSON.stringify(addressData)
+        });
+    }
+
+    async updateAddress(id, addressData) {
+        return await this.makeRequest(`/addresses/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(addressData)
+        });
+    }
+
+    async setDefaultAddress(id) {
+        return await this.makeRequest(`/addresses/${id}/default`, {
+            method: 'POST'
+        });
+    }
+
+    async deleteAddress(id) {
+        return await this.makeRequest(`/addresses/${id}`, {
+            method: 'DELETE'
+        });
+    }
+
     // Product methods
-    async getProducts() {
-        return await this.makeRequest('/products');
+    // options: { category, min_price, max_price, in_stock, search, sort, page, limit }
+    async getProducts(options = {}) {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, value);
+            }
+        }
+        const query = params.toString();
+        return await this.makeRequest(`/products${query ? `?${query}` : ''}`);
+    }
+
+    // Pass a quantity (and optionally one of product.units) to get the effective price back in product.pricing
+    async getProduct(id, quantity, unit) {
+        const params = new URLSearchParams();
+        if (quantity) params.append('quantity', quantity);
+        if (unit) params.append('unit', unit);
+        const query = params.toString();
+        return await this.makeRequest(`/products/${id}${query ? `?${query}` : ''}`);
+    }
+
+    // Staff product methods; pass a FormData to include an `image` file
+    async createProduct(productData) {
+        return await this.makeRequest('/products', {
+            method: 'POST',
+            body: productData instanceof FormData ? productData : JSON.stringify(productData)
+        });
+    }
+
+    async updateProduct(id, productData) {
+        return await this.makeRequest(`/products/${id}`, {
+            method: 'PUT',
+            body: productData instanceof FormData ? productData : JSON.stringify(productData)
+        });
+    }
+
+    async deleteProduct(id) {
+        return await this.makeRequest(`/products/${id}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async updatePriceTiers(id, tiers) {
+        return await this.makeRequest(`/products/${id}/price-tiers`, {
+            method: 'PUT',
+            body: JSON.stringify({ tiers })
+        });
     }
 
-    async getProduct(id) {
-        return await this.makeRequest(`/products/${id}`);
+    async updateProductUnits(id, units) {
+        return await this.makeRequest(`/products/${id}/units`, {
+            method: 'PUT',
+            body: JSON.stringify({ units })
+        });
     }
 
     // Order methods
@@ -99,18 +335,155 @@ class ManiConstructionAPI {
         return await this.makeRequest('/orders');
     }
 
+    async getOrder(id) {
+        return await this.makeRequest(`/orders/${id}`);
+    }
+
+    async getOrderHistory(id) {
+        return await this.makeRequest(`/orders/${id}/history`);
+    }
+
+    // Staff order methods
+    async getAllOrders(options = {}) {
+        const params = new URLSearchParams(options).toString();
+        return await this.makeRequest(`/staff/orders${params ? `?${params}` : ''}`);
+    }
+
+    async updateOrderStatus(id, status, note) {
+        return await this.makeRequest(`/orders/${id}/status`, {
+            method: 'PUT',
+            body: JSON.stringify({ status, note })
+        });
+    }
+
+    async cancelOrder(id) {
+        return await this.makeRequest(`/orders/${id}/cancel`, {
+            method: 'POST'
+        });
+    }
+
+    // Delivery methods
+    async getDeliveryZones() {
+        return await this.makeRequest('/delivery/zones');
+    }
+
+    async estimateDelivery(items, pincode, distanceKm) {
+        return await this.makeRequest('/delivery/estimate', {
+            method: 'POST',
+            body: JSON.stringify({ items, pincode, distance_km: distanceKm })
+        });
+    }
+
+    async getDeliverySlots(date) {
+        return await this.makeRequest(`/delivery/slots${date ? `?date=${encodeURIComponent(date)}` : ''}`);
+    }
+
+    async getDispatchSchedule(date) {
+        return await this.makeRequest(`/delivery/schedule${date ? `?date=${encodeURIComponent(date)}` : ''}`);
+    }
+
+    async assignTruck(orderId, truckId) {
+        return await this.makeRequest(`/orders/${orderId}/delivery/truck`, {
+            method: 'PUT',
+            body: JSON.stringify({ truck_id: truckId })
+        });
+    }
+
+    // Quote methods
+    async requestQuote(quoteData) {
+        return await this.makeRequest('/quotes', {
+            method: 'POST',
+            body: JSON.stringify(quoteData)
+        });
+    }
+
+    async getQuotes(status) {
+        return await this.makeRequest(`/quotes${status ? `?status=${encodeURIComponent(status)}` : ''}`);
+    }
+
+    async getQuote(id) {
+        return await this.makeRequest(`/quotes/${id}`);
+    }
+
+    async respondToQuote(id, responseData) {
+        return await this.makeRequest(`/quotes/${id}/respond`, {
+            method: 'PUT',
+            body: JSON.stringify(responseData)
+        });
+    }
+
+    async acceptQuote(id, orderData = {}) {
+        return await this.makeRequest(`/quotes/${id}/accept`, {
+            method: 'POST',
+            body: JSON.stringify(orderData)
+        });
+    }
+
+    async declineQuote(id) {
+        return await this.makeRequest(`/quotes/${id}/decline`, {
+            method: 'POST'
+        });
+    }
+
     // Payment methods
-    async processStripePayment(orderId, token) {
+    // Returns payment.client_secret for stripe.confirmCardPayment(); the order is
+    // marked paid by the server's Stripe webhook, not by this call
+    async createStripePayment(orderId) {
         return await this.makeRequest('/payments/stripe', {
             method: 'POST',
-            body: JSON.stringify({ order_id: orderId, token })
+            body: JSON.stringify({ order_id: orderId })
+        });
+    }
+
+    // Staff: refund all (omit amount) or part of an order's payment
+    async refundOrder(orderId, amount, reason) {
+        return await this.makeRequest(`/orders/${orderId}/refunds`, {
+            method: 'POST',
+            body: JSON.stringify({ amount, reason })
+        });
+    }
+
+    async getRefunds(orderId) {
+        return await this.makeRequest(`/orders/${orderId}/refunds`);
+    }
+
+    // Invoices are HTML or PDF documents, so they are fetched outside makeRequest
+    async downloadInvoice(orderId, format = 'pdf', retried = false) {
+        const response = await fetch(`${this.baseURL}/orders/${orderId}/invoice?format=${format}`, {
+            headers: { ...(this.token && { 'Authorization': `Bearer ${this.token}` }) }
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            if (response.status === 401 && data.code === 'token_expired' && this.refreshToken && !retried) {
+                await this.refreshSession();
+                return await this.downloadInvoice(orderId, format, true);
+            }
+            throw new Error(data.error || 'Request failed');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : `invoice-${orderId}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Creates the PayPal order on the backend; returns { paypal_order_id }
+    async createPayPalOrder(orderId) {
+        return await this.makeRequest('/payments/paypal/create', {
+            method: 'POST',
+            body: JSON.stringify({ order_id: orderId })
         });
     }
 
-    async processPayPalPayment(orderId, paymentId) {
+    // Captures the approved PayPal order on the backend
+    async processPayPalPayment(orderId, paypalOrderId) {
         return await this.makeRequest('/payments/paypal', {
             method: 'POST',
-            body: JSON.stringify({ order_id: orderId, payment_id: paymentId })
+            body: JSON.stringify({ order_id: orderId, paypal_order_id: paypalOrderId })
         });
     }
 
@@ -121,6 +494,35 @@ class ManiConstructionAPI {
             body: JSON.stringify(messageData)
         });
     }
+
+    // Support tickets
+    async getTickets() {
+        return await this.makeRequest('/tickets');
+    }
+
+    async getTicket(id) {
+        return await this.makeRequest(`/tickets/${id}`);
+    }
+
+    async replyToTicket(id, message) {
+        return await this.makeRequest(`/tickets/${id}/replies`, {
+            method: 'POST',
+            body: JSON.stringify({ message })
+        });
+    }
+
+    // Staff inbox; options: { status, assigned_to, search, page, limit }
+    async getStaffTickets(options = {}) {
+        const params = new URLSearchParams(options).toString();
+        return await this.makeRequest(`/staff/tickets${params ? `?${params}` : ''}`);
+    }
+
+    async updateTicket(id, updates) {
+        return await this.makeRequest(`/tickets/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
 }
 
 // ============================================
@@ -145,20 +547,15 @@ class PaymentProcessor {
     // Initialize PayPal
     async initPayPal(clientId) {
         if (typeof paypal !== 'undefined') {
+            // The backend creates and captures the PayPal order so the amount can't be tampered with
             this.paypal = paypal.Buttons({
-                createOrder: (data, actions) => {
-                    return actions.order.create({
-                        purchase_units: [{
-                            amount: {
-                                value: this.currentAmount
-                            }
-                        }]
-                    });
+                createOrder: async () => {
+                    const { paypal_order_id } = await this.api.createPayPalOrder(this.currentOrderId);
+                    return paypal_order_id;
                 },
-                onApprove: async (data, actions) => {
+                onApprove: async (data) => {
                     try {
-                        const order = await actions.order.capture();
-                        await this.api.processPayPalPayment(this.currentOrderId, order.id);
+                        await this.api.processPayPalPayment(this.currentOrderId, data.orderID);
                         this.showSuccessMessage('Payment processed successfully!');
                         this.redirectToSuccess();
                     } catch (error) {
@@ -179,14 +576,22 @@ class PaymentProcessor {
         try {
             this.showLoadingSpinner();
 
-            const { token, error } = await this.stripe.createToken(cardElement);
+            const { payment } = await this.api.createStripePayment(orderId);
+
+            // Handles 3-D Secure authentication when the card requires it
+            const { paymentIntent, error } = await this.stripe.confirmCardPayment(payment.client_secret, {
+                payment_method: { card: cardElement }
+            });
 
             if (error) {
                 throw new Error(error.message);
             }
 
-            await this.api.processStripePayment(orderId, token.id);
-            this.showSuccessMessage('Payment processed successfully!');
+            if (paymentIntent.status === 'succeeded') {
+                this.showSuccessMessage('Payment processed successfully!');
+            } else {
+                this.showSuccessMessage('Payment submitted. Your order will update once it is confirmed.');
+            }
             this.redirectToSuccess();
 
         } catch (error) {
@@ -303,12 +708,15 @@ class FormValidator {
         };
     }
 
+    // Accepts this.validate()'s errors or an API error whose .fields came from the server
     showValidationErrors(errors) {
         // Clear previous errors
         document.querySelectorAll('.error-message').forEach(el => el.remove());
 
-        for (const [field, message] of Object.entries(errors)) {
-            const input = document.querySelector(`[name="${field}"]`);
+        for (const [field, message] of Object.entries(errors.fields || errors)) {
+            // Server paths such as "delivery.pincode" map to the input for their last segment
+            const input = document.querySelector(`[name="${field}"]`) ||
+                document.querySelector(`[name="${field.split('.').pop()}"]`);
             if (input) {
                 const errorDiv = document.createElement('div');
                 errorDiv.className = 'error-message';
@@ -335,11 +743,14 @@ class FormValidator {
 // UTILITY FUNCTIONS
 // ============================================
 
-// Format currency
-function formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
+// Store currency; should match the backend's CURRENCY setting
+const APP_CURRENCY = 'INR';
+
+// Format currency (Indian digit grouping for INR, e.g. ₹1,25,000.00)
+function formatCurrency(amount, currency = APP_CURRENCY) {
+    return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', {
         style: 'currency',
-        currency: 'USD'
+        currency
     }).format(amount);
 }
 
@@ -444,6 +855,7 @@ function handleLogin(event) {
             }, 1500);
         })
         .catch(error => {
+            if (error.fields) validator.showValidationErrors(error);
             showAlert('Login failed: ' + error.message, 'error');
         });
 }
@@ -480,6 +892,7 @@ function handleRegister(event) {
             }, 1500);
         })
         .catch(error => {
+            if (error.fields) validator.showValidationErrors(error);
             showAlert('Registration failed: ' + error.message, 'error');
         });
 }
@@ -527,10 +940,11 @@ function handleContact(event) {
     
     api.sendContactMessage(messageData)
         .then(data => {
-            showAlert('Message sent successfully!', 'success');
+            showAlert(`Message sent successfully! Your ticket number is #${data.ticket.id}.`, 'success');
             event.target.reset();
         })
         .catch(error => {
+            if (error.fields) new FormValidator().showValidationErrors(error);
             showAlert('Failed to send message: ' + error.message, 'error');
         });
 }
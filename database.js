@@ -0,0 +1,17 @@
+// ============================================
+// DATABASE CONFIGURATION
+// Shared by server.js and the migrate/seed commands
+// ============================================
+
+const dbConfig = {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'mani_construction',
+    port: process.env.DB_PORT || 3306,
+    waitForConnections: true,
+    decimalNumbers: true,
+    connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT, 10) || 10
+};
+
+module.exports = { dbConfig };
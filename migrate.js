@@ -0,0 +1,165 @@
+// ============================================
+// DATABASE MIGRATIONS
+// Usage: node migrate.js [up | down [steps] | status]
+// ============================================
+
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Only one process may migrate at a time (e.g. several servers starting together)
+const MIGRATION_LOCK = 'mani_construction_migrations';
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 60;
+
+// Migration files in run order. Each exports async up(connection) and down(connection);
+// names start with a zero-padded number, e.g. 002_add_product_brand.js
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { name: path.basename(file, '.js'), ...migration };
+        });
+}
+
+// Run fn with a dedicated connection holding the migration lock and an up-to-date
+// schema_migrations table
+async function withMigrationLock(pool, fn) {
+    const connection = await pool.getConnection();
+    try {
+        const [[lock]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired',
+            [MIGRATION_LOCK, MIGRATION_LOCK_TIMEOUT_SECONDS]);
+        if (lock.acquired !== 1) {
+            throw new Error('Timed out waiting for another process to finish migrating');
+        }
+
+        try {
+            await connection.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    name VARCHAR(255) NOT NULL UNIQUE,
+                    batch INT NOT NULL,
+                    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            return await fn(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK]);
+        }
+    } finally {
+        connection.release();
+    }
+}
+
+async function appliedMigrations(connection) {
+    const [rows] = await connection.query('SELECT name, batch, applied_at FROM schema_migrations ORDER BY id');
+    return rows;
+}
+
+// Apply every pending migration as one batch; returns the names applied.
+// MySQL commits DDL as it goes, so a failed migration is left unrecorded and
+// must be written to be safe to re-run
+async function migrateUp(pool) {
+    return await withMigrationLock(pool, async (connection) => {
+        const applied = new Set((await appliedMigrations(connection)).map(row => row.name));
+        const pending = loadMigrations().filter(migration => !applied.has(migration.name));
+        if (pending.length === 0) return [];
+
+        const [[{ lastBatch }]] = await connection.query('SELECT COALESCE(MAX(batch), 0) AS lastBatch FROM schema_migrations');
+        for (const migration of pending) {
+            await migration.up(connection);
+            await connection.query('INSERT INTO schema_migrations (name, batch) VALUES (?, ?)', [migration.name, lastBatch + 1]);
+            console.log(`Migrated: ${migration.name}`);
+        }
+        return pending.map(migration => migration.name);
+    });
+}
+
+// Roll back the most recently applied migrations, newest first; returns the names rolled back
+async function migrateDown(pool, steps = 1) {
+    return await withMigrationLock(pool, async (connection) => {
+        const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+        const toRollBack = (await appliedMigrations(connection)).reverse().slice(0, steps);
+
+        for (const { name } of toRollBack) {
+            const migration = migrations.get(name);
+            if (!migration) {
+                throw new Error(`Migration file for ${name} is missing; cannot roll it back`);
+            }
+            await migration.down(connection);
+            await connection.query('DELETE FROM schema_migrations WHERE name = ?', [name]);
+            console.log(`Rolled back: ${name}`);
+        }
+        return toRollBack.map(row => row.name);
+    });
+}
+
+// Every known migration with its batch and applied_at (null while pending). Rows for
+// applied migrations whose file has gone are included with missing: true
+async function migrationStatus(pool) {
+    return await withMigrationLock(pool, async (connection) => {
+        const applied = new Map((await appliedMigrations(connection)).map(row => [row.name, row]));
+        const status = loadMigrations().map(({ name }) => ({
+            name,
+            batch: applied.has(name) ? applied.get(name).batch : null,
+            applied_at: applied.has(name) ? applied.get(name).applied_at : null
+        }));
+        for (const [name, row] of applied) {
+            if (!status.some(migration => migration.name === name)) {
+                status.push({ name, batch: row.batch, applied_at: row.applied_at, missing: true });
+            }
+        }
+        return status;
+    });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+// Command line
+if (require.main === module) {
+    require('dotenv').config();
+    const mysql = require('mysql2/promise');
+    const { dbConfig } = require('./database');
+
+    const [command = 'up', arg] = process.argv.slice(2);
+    const pool = mysql.createPool({ ...dbConfig, connectionLimit: 1 });
+
+    const commands = {
+        up: async () => {
+            const names = await migrateUp(pool);
+            console.log(names.length > 0 ? `Applied ${names.length} migration(s)` : 'Database is up to date');
+        },
+        down: async () => {
+            const steps = arg === undefined ? 1 : parseInt(arg, 10);
+            if (!(steps > 0)) throw new Error('down takes a positive number of migrations to roll back');
+            const names = await migrateDown(pool, steps);
+            if (names.length === 0) console.log('Nothing to roll back');
+        },
+        status: async () => {
+            for (const migration of await migrationStatus(pool)) {
+                const state = migration.missing ? 'MISSING FILE'
+                    : migration.applied_at ? `applied ${migration.applied_at.toISOString()} (batch ${migration.batch})`
+                        : 'pending';
+                console.log(`${migration.name.padEnd(40)} ${state}`);
+            }
+        }
+    };
+
+    if (!commands[command]) {
+        console.error('Usage: node migrate.js [up | down [steps] | status]');
+        process.exit(1);
+    }
+
+    commands[command]()
+        .then(() => pool.end())
+        .catch(async (error) => {
+            console.error('Migration failed:', error.message);
+            await pool.end();
+            process.exit(1);
+        });
+}
@@ -0,0 +1,87 @@
+// Baseline schema: the tables the server created on startup before migrations
+// existed. Databases from that time already have them, so IF NOT EXISTS skips
+// them and the columns added since arrive through the later migrations
+
+async function up(connection) {
+    // Users table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(50) UNIQUE NOT NULL,
+            email VARCHAR(100) UNIQUE NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            full_name VARCHAR(100),
+            phone VARCHAR(20),
+            address TEXT,
+            role ENUM('customer', 'admin', 'employee') DEFAULT 'customer',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Products table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS products (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            description TEXT,
+            price DECIMAL(10,2) NOT NULL,
+            category VARCHAR(50),
+            stock_quantity INT DEFAULT 0,
+            image_url VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Orders table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS orders (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT,
+            total_amount DECIMAL(10,2) NOT NULL,
+            status ENUM('pending', 'confirmed', 'shipped', 'delivered', 'cancelled') DEFAULT 'pending',
+            payment_status ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending',
+            payment_method VARCHAR(50),
+            shipping_address TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+    // Order items table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS order_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT,
+            product_id INT,
+            quantity INT NOT NULL,
+            price DECIMAL(10,2) NOT NULL,
+            FOREIGN KEY (order_id) REFERENCES orders(id),
+            FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+    `);
+
+    // Payments table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS payments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT,
+            amount DECIMAL(10,2) NOT NULL,
+            payment_method VARCHAR(50),
+            transaction_id VARCHAR(255),
+            status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders(id)
+        )
+    `);
+}
+
+async function down(connection) {
+    for (const table of ['payments', 'order_items', 'orders', 'products', 'users']) {
+        await connection.execute(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = { up, down };
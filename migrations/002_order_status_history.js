@@ -0,0 +1,25 @@
+// Audit trail of order status changes
+
+async function up(connection) {
+    // Order status history table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS order_status_history (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL,
+            from_status VARCHAR(20),
+            to_status VARCHAR(20) NOT NULL,
+            changed_by INT,
+            note VARCHAR(500),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders(id),
+            FOREIGN KEY (changed_by) REFERENCES users(id),
+            INDEX idx_order_status_history_order (order_id)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS order_status_history');
+}
+
+module.exports = { up, down };
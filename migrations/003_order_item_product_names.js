@@ -0,0 +1,17 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// Order lines keep the product name they were sold under
+
+async function up(connection) {
+    await addColumn(connection, 'order_items', 'product_name', 'VARCHAR(100)');
+    await connection.execute(
+        `UPDATE order_items oi JOIN products p ON p.id = oi.product_id
+         SET oi.product_name = p.name WHERE oi.product_name IS NULL`
+    );
+}
+
+async function down(connection) {
+    await dropColumn(connection, 'order_items', 'product_name');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Request-for-quote workflow
+
+async function up(connection) {
+    // Quotes table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS quotes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            site_location TEXT NOT NULL,
+            notes TEXT,
+            status ENUM('requested', 'quoted', 'accepted', 'declined', 'cancelled') DEFAULT 'requested',
+            staff_notes TEXT,
+            quoted_by INT,
+            quoted_at TIMESTAMP NULL,
+            expires_at DATETIME NULL,
+            order_id INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (quoted_by) REFERENCES users(id),
+            FOREIGN KEY (order_id) REFERENCES orders(id)
+        )
+    `);
+
+    // Quote items table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS quote_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            quote_id INT NOT NULL,
+            product_id INT NOT NULL,
+            product_name VARCHAR(100),
+            quantity INT NOT NULL,
+            quoted_price DECIMAL(10,2),
+            FOREIGN KEY (quote_id) REFERENCES quotes(id),
+            FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS quote_items');
+    await connection.execute('DROP TABLE IF EXISTS quotes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// Bulk price tiers, and the list price and tier each order/quote line was priced at
+
+async function up(connection) {
+    // Product price tiers (bulk pricing)
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS product_price_tiers (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            product_id INT NOT NULL,
+            min_quantity INT NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL,
+            UNIQUE KEY uq_product_tier (product_id, min_quantity),
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+        )
+    `);
+
+    await addColumn(connection, 'order_items', 'base_price', 'DECIMAL(10,2)');
+    await addColumn(connection, 'order_items', 'tier_min_quantity', 'INT');
+    await addColumn(connection, 'order_items', 'discount_amount', 'DECIMAL(10,2) DEFAULT 0');
+    await connection.execute('UPDATE order_items SET base_price = price WHERE base_price IS NULL');
+
+    await addColumn(connection, 'quote_items', 'list_price', 'DECIMAL(10,2)');
+    await addColumn(connection, 'quote_items', 'tier_min_quantity', 'INT');
+    // Open quotes are priced from list_price when staff leave a line unpriced
+    await connection.execute(
+        `UPDATE quote_items qi JOIN products p ON p.id = qi.product_id
+         SET qi.list_price = p.price WHERE qi.list_price IS NULL`
+    );
+}
+
+async function down(connection) {
+    await dropColumn(connection, 'quote_items', 'tier_min_quantity');
+    await dropColumn(connection, 'quote_items', 'list_price');
+    await dropColumn(connection, 'order_items', 'discount_amount');
+    await dropColumn(connection, 'order_items', 'tier_min_quantity');
+    await dropColumn(connection, 'order_items', 'base_price');
+    await connection.execute('DROP TABLE IF EXISTS product_price_tiers');
+}
+
+module.exports = { up, down };
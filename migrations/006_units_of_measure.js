@@ -0,0 +1,50 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// Units of measure: fractional stock and quantities, alternate sellable units, and the
+// unit each order/quote line was entered in. Existing lines were sold in the product's unit
+
+async function up(connection) {
+    await addColumn(connection, 'products', 'unit', "VARCHAR(20) NOT NULL DEFAULT 'unit'");
+    await addColumn(connection, 'products', 'allow_decimal', 'BOOLEAN NOT NULL DEFAULT FALSE');
+    await connection.execute('ALTER TABLE products MODIFY stock_quantity DECIMAL(12,3) DEFAULT 0');
+
+    // Alternate sellable units per product (e.g. tonne for a product stocked in kg)
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS product_units (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            product_id INT NOT NULL,
+            unit VARCHAR(20) NOT NULL,
+            conversion_factor DECIMAL(12,4) NOT NULL,
+            UNIQUE KEY uq_product_unit (product_id, unit),
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+        )
+    `);
+
+    for (const table of ['order_items', 'quote_items']) {
+        await connection.execute(`ALTER TABLE ${table} MODIFY quantity DECIMAL(12,3) NOT NULL`);
+        await addColumn(connection, table, 'unit', 'VARCHAR(20)');
+        await addColumn(connection, table, 'base_quantity', 'DECIMAL(12,3)');
+        await connection.execute(
+            `UPDATE ${table} i JOIN products p ON p.id = i.product_id
+             SET i.unit = COALESCE(i.unit, p.unit), i.base_quantity = COALESCE(i.base_quantity, i.quantity)
+             WHERE i.unit IS NULL OR i.base_quantity IS NULL`
+        );
+    }
+}
+
+// Fractional quantities are rounded when the columns go back to INT
+async function down(connection) {
+    for (const table of ['quote_items', 'order_items']) {
+        await dropColumn(connection, table, 'base_quantity');
+        await dropColumn(connection, table, 'unit');
+        await connection.execute(`ALTER TABLE ${table} MODIFY quantity INT NOT NULL`);
+    }
+
+    await connection.execute('DROP TABLE IF EXISTS product_units');
+
+    await connection.execute('ALTER TABLE products MODIFY stock_quantity INT DEFAULT 0');
+    await dropColumn(connection, 'products', 'allow_decimal');
+    await dropColumn(connection, 'products', 'unit');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,90 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// Delivery zones, slots, trucks and booked deliveries, plus product weights and volumes
+// for truck loading and the delivery fee on orders
+
+async function up(connection) {
+    await addColumn(connection, 'products', 'weight_kg', 'DECIMAL(10,3) DEFAULT 0');
+    await addColumn(connection, 'products', 'volume_m3', 'DECIMAL(10,4) DEFAULT 0');
+    await addColumn(connection, 'orders', 'delivery_fee', 'DECIMAL(10,2) DEFAULT 0');
+
+    // Delivery zones: matched by pincode list first, then by distance band from the yard
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS delivery_zones (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            pincodes TEXT,
+            min_distance_km DECIMAL(6,1),
+            max_distance_km DECIMAL(6,1),
+            base_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+            fee_per_tonne DECIMAL(10,2) NOT NULL DEFAULT 0,
+            fee_per_truck DECIMAL(10,2) NOT NULL DEFAULT 0,
+            truck_capacity_kg DECIMAL(10,2) NOT NULL DEFAULT 10000,
+            truck_capacity_m3 DECIMAL(10,2) NOT NULL DEFAULT 10,
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Bookable delivery time slots; capacity is the number of deliveries per slot per day
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS delivery_slots (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            label VARCHAR(50) NOT NULL,
+            start_time TIME NOT NULL,
+            end_time TIME NOT NULL,
+            capacity INT NOT NULL DEFAULT 5,
+            active BOOLEAN NOT NULL DEFAULT TRUE
+        )
+    `);
+
+    // Delivery trucks
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS trucks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(50) NOT NULL,
+            registration_number VARCHAR(20) UNIQUE,
+            capacity_kg DECIMAL(10,2) NOT NULL,
+            capacity_m3 DECIMAL(10,2),
+            active BOOLEAN NOT NULL DEFAULT TRUE
+        )
+    `);
+
+    // Booked site deliveries, one per order
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS order_deliveries (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL UNIQUE,
+            zone_id INT,
+            pincode VARCHAR(10),
+            distance_km DECIMAL(6,1),
+            delivery_date DATE NOT NULL,
+            slot_id INT NOT NULL,
+            total_weight_kg DECIMAL(12,3) DEFAULT 0,
+            total_volume_m3 DECIMAL(12,4) DEFAULT 0,
+            trucks_required INT NOT NULL DEFAULT 1,
+            delivery_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+            truck_id INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders(id),
+            FOREIGN KEY (zone_id) REFERENCES delivery_zones(id),
+            FOREIGN KEY (slot_id) REFERENCES delivery_slots(id),
+            FOREIGN KEY (truck_id) REFERENCES trucks(id),
+            INDEX idx_order_deliveries_date (delivery_date)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS order_deliveries');
+    await connection.execute('DROP TABLE IF EXISTS trucks');
+    await connection.execute('DROP TABLE IF EXISTS delivery_slots');
+    await connection.execute('DROP TABLE IF EXISTS delivery_zones');
+
+    await dropColumn(connection, 'orders', 'delivery_fee');
+    await dropColumn(connection, 'products', 'volume_m3');
+    await dropColumn(connection, 'products', 'weight_kg');
+}
+
+module.exports = { up, down };
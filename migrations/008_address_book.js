@@ -0,0 +1,34 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// Saved site addresses, and the structured address an order was shipped to
+
+async function up(connection) {
+    await addColumn(connection, 'orders', 'shipping_details', 'JSON');
+
+    // Saved site addresses per user
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS user_addresses (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            label VARCHAR(50) NOT NULL,
+            contact_name VARCHAR(100),
+            phone VARCHAR(20),
+            address_line TEXT NOT NULL,
+            landmark VARCHAR(255),
+            city VARCHAR(100),
+            pincode VARCHAR(10) NOT NULL,
+            is_default BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS user_addresses');
+
+    await dropColumn(connection, 'orders', 'shipping_details');
+}
+
+module.exports = { up, down };
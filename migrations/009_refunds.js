@@ -0,0 +1,47 @@
+// Staff refunds, and partially refunded payment states
+
+async function up(connection) {
+    await connection.execute(
+        `ALTER TABLE orders MODIFY payment_status
+         ENUM('pending', 'paid', 'failed', 'partially_refunded', 'refunded') DEFAULT 'pending'`
+    );
+    await connection.execute(
+        `ALTER TABLE payments MODIFY status
+         ENUM('pending', 'completed', 'failed', 'partially_refunded', 'refunded') DEFAULT 'pending'`
+    );
+
+    // Refunds, one row per refund against a captured payment
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS refunds (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            payment_id INT NOT NULL,
+            order_id INT NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            gateway_refund_id VARCHAR(255),
+            status ENUM('pending', 'succeeded', 'failed') DEFAULT 'pending',
+            reason VARCHAR(500),
+            created_by INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (payment_id) REFERENCES payments(id),
+            FOREIGN KEY (order_id) REFERENCES orders(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS refunds');
+
+    await connection.execute("UPDATE payments SET status = 'completed' WHERE status = 'partially_refunded'");
+    await connection.execute(
+        `ALTER TABLE payments MODIFY status
+         ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending'`
+    );
+    await connection.execute("UPDATE orders SET payment_status = 'paid' WHERE payment_status = 'partially_refunded'");
+    await connection.execute(
+        `ALTER TABLE orders MODIFY payment_status
+         ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending'`
+    );
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Stripe webhook deduplication, and disputed payment states
+
+async function up(connection) {
+    await connection.execute(
+        `ALTER TABLE orders MODIFY payment_status
+         ENUM('pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'disputed') DEFAULT 'pending'`
+    );
+    await connection.execute(
+        `ALTER TABLE payments MODIFY status
+         ENUM('pending', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed') DEFAULT 'pending'`
+    );
+
+    // Stripe webhook events already handled, so redeliveries are ignored
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS stripe_events (
+            id VARCHAR(255) PRIMARY KEY,
+            type VARCHAR(100) NOT NULL,
+            processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS stripe_events');
+
+    await connection.execute("UPDATE payments SET status = 'completed' WHERE status = 'disputed'");
+    await connection.execute(
+        `ALTER TABLE payments MODIFY status
+         ENUM('pending', 'completed', 'failed', 'partially_refunded', 'refunded') DEFAULT 'pending'`
+    );
+    await connection.execute("UPDATE orders SET payment_status = 'paid' WHERE payment_status = 'disputed'");
+    await connection.execute(
+        `ALTER TABLE orders MODIFY payment_status
+         ENUM('pending', 'paid', 'failed', 'partially_refunded', 'refunded') DEFAULT 'pending'`
+    );
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+const { addColumn, dropColumn, addIndex, dropIndex } = require('./helpers');
+
+// Gateway order ids (PayPal orders, Stripe PaymentIntents) on payments. The unique keys stop
+// one gateway transaction or order from being recorded twice
+
+async function up(connection) {
+    await addColumn(connection, 'payments', 'gateway_order_id', 'VARCHAR(255)');
+    await addIndex(connection, 'payments', 'uq_payment_transaction',
+        'UNIQUE KEY uq_payment_transaction (payment_method, transaction_id)');
+    await addIndex(connection, 'payments', 'uq_payment_gateway_order',
+        'UNIQUE KEY uq_payment_gateway_order (payment_method, gateway_order_id)');
+}
+
+async function down(connection) {
+    await dropIndex(connection, 'payments', 'uq_payment_gateway_order');
+    await dropIndex(connection, 'payments', 'uq_payment_transaction');
+    await dropColumn(connection, 'payments', 'gateway_order_id');
+}
+
+module.exports = { up, down };
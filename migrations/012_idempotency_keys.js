@@ -0,0 +1,25 @@
+// Stored responses for Idempotency-Key replays
+
+async function up(connection) {
+    // Stored responses for Idempotency-Key replays
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            idempotency_key VARCHAR(255) NOT NULL,
+            request_hash CHAR(64) NOT NULL,
+            status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+            response_status INT,
+            response_body JSON,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_idempotency_user_key (user_id, idempotency_key),
+            INDEX idx_idempotency_created (created_at)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS idempotency_keys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// GST: HSN codes and rates on products, tax breakdown on orders and order lines, and the
+// state of saved addresses for place of supply. Orders placed before GST carried no tax,
+// so their whole value is recorded as taxable
+
+const ORDER_TAX_COLUMNS = [
+    ['currency', "CHAR(3) NOT NULL DEFAULT 'INR'"],
+    ['taxable_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['cgst_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['sgst_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['igst_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['tax_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['place_of_supply', 'VARCHAR(50)']
+];
+
+const ORDER_ITEM_TAX_COLUMNS = [
+    ['hsn_code', 'VARCHAR(8)'],
+    ['gst_rate', 'DECIMAL(5,2) DEFAULT 0'],
+    ['taxable_value', 'DECIMAL(10,2)'],
+    ['cgst_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['sgst_amount', 'DECIMAL(10,2) DEFAULT 0'],
+    ['igst_amount', 'DECIMAL(10,2) DEFAULT 0']
+];
+
+async function up(connection) {
+    await addColumn(connection, 'products', 'hsn_code', 'VARCHAR(8)');
+    await addColumn(connection, 'products', 'gst_rate', 'DECIMAL(5,2) NOT NULL DEFAULT 18.00');
+
+    const addedTaxColumns = await addColumn(connection, 'orders', 'taxable_amount', 'DECIMAL(10,2) DEFAULT 0');
+    for (const [column, definition] of ORDER_TAX_COLUMNS) {
+        await addColumn(connection, 'orders', column, definition);
+    }
+    if (addedTaxColumns) {
+        await connection.execute('UPDATE orders SET taxable_amount = total_amount - COALESCE(delivery_fee, 0)');
+    }
+
+    for (const [column, definition] of ORDER_ITEM_TAX_COLUMNS) {
+        await addColumn(connection, 'order_items', column, definition);
+    }
+    await connection.execute('UPDATE order_items SET taxable_value = ROUND(price * quantity, 2) WHERE taxable_value IS NULL');
+
+    await addColumn(connection, 'user_addresses', 'state', 'VARCHAR(50)');
+}
+
+async function down(connection) {
+    await dropColumn(connection, 'user_addresses', 'state');
+    for (const [column] of [...ORDER_ITEM_TAX_COLUMNS].reverse()) {
+        await dropColumn(connection, 'order_items', column);
+    }
+    for (const [column] of [...ORDER_TAX_COLUMNS].reverse()) {
+        await dropColumn(connection, 'orders', column);
+    }
+    await dropColumn(connection, 'products', 'gst_rate');
+    await dropColumn(connection, 'products', 'hsn_code');
+}
+
+module.exports = { up, down };
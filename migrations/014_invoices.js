@@ -0,0 +1,42 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// Numbered tax invoices and the buyer's GSTIN
+
+async function up(connection) {
+    await addColumn(connection, 'users', 'gstin', 'VARCHAR(15)');
+
+    // Tax invoices, one per order; the number is assigned once and kept on regeneration
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS invoices (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL UNIQUE,
+            invoice_number VARCHAR(30) NOT NULL UNIQUE,
+            financial_year VARCHAR(7) NOT NULL,
+            sequence_number INT NOT NULL,
+            buyer_name VARCHAR(100),
+            buyer_gstin VARCHAR(15),
+            buyer_address TEXT,
+            issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_generated_at TIMESTAMP NULL,
+            UNIQUE KEY uq_invoice_sequence (financial_year, sequence_number),
+            FOREIGN KEY (order_id) REFERENCES orders(id)
+        )
+    `);
+
+    // Last invoice number used per financial year; only ever moves forward
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS invoice_sequences (
+            financial_year VARCHAR(7) PRIMARY KEY,
+            last_number INT NOT NULL DEFAULT 0
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS invoice_sequences');
+    await connection.execute('DROP TABLE IF EXISTS invoices');
+
+    await dropColumn(connection, 'users', 'gstin');
+}
+
+module.exports = { up, down };
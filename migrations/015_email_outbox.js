@@ -0,0 +1,29 @@
+// Outgoing email queue
+
+async function up(connection) {
+    // Outgoing emails; a background worker delivers them and retries failures
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS email_outbox (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            recipient VARCHAR(100) NOT NULL,
+            template VARCHAR(50) NOT NULL,
+            subject VARCHAR(255) NOT NULL,
+            text_body TEXT NOT NULL,
+            html_body MEDIUMTEXT NOT NULL,
+            status ENUM('pending', 'sending', 'sent', 'failed') DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            locked_at TIMESTAMP NULL,
+            sent_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_email_outbox_due (status, next_attempt_at)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS email_outbox');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// Support tickets from the contact form and their reply threads
+
+async function up(connection) {
+    // Support tickets opened from the contact form
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS support_tickets (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT,
+            name VARCHAR(100) NOT NULL,
+            email VARCHAR(100) NOT NULL,
+            phone VARCHAR(20),
+            subject VARCHAR(255),
+            status ENUM('open', 'in_progress', 'resolved') DEFAULT 'open',
+            assigned_to INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_support_tickets_status (status),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (assigned_to) REFERENCES users(id)
+        )
+    `);
+
+    // Threaded messages on a ticket; the first one is the original enquiry
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS support_ticket_messages (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            ticket_id INT NOT NULL,
+            author_id INT,
+            author_type ENUM('customer', 'staff') NOT NULL,
+            message TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (ticket_id) REFERENCES support_tickets(id),
+            FOREIGN KEY (author_id) REFERENCES users(id)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS support_ticket_messages');
+    await connection.execute('DROP TABLE IF EXISTS support_tickets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Single-use password reset tokens
+
+async function up(connection) {
+    // Password reset tokens; only a SHA-256 hash of the emailed token is stored
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at DATETIME NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS password_reset_tokens');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// Email verification. Only accounts registered from now on start unverified; everyone
+// who already had an account is treated as verified from when they signed up
+
+async function up(connection) {
+    if (await addColumn(connection, 'users', 'email_verified_at', 'TIMESTAMP NULL')) {
+        await connection.execute('UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL');
+    }
+
+    // Email verification tokens, hashed like reset tokens; email is the address being confirmed
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS email_verification_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            email VARCHAR(100) NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at DATETIME NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS email_verification_tokens');
+
+    await dropColumn(connection, 'users', 'email_verified_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// Server-side sessions with rotating refresh tokens
+
+async function up(connection) {
+    // Refresh tokens. Each login starts a session (family_id); every refresh rotates the
+    // token within the family, and revoking the family ends that session
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            family_id CHAR(32) NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at DATETIME NOT NULL,
+            revoked_at TIMESTAMP NULL,
+            revoked_reason VARCHAR(30),
+            user_agent VARCHAR(255),
+            ip_address VARCHAR(45),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_refresh_tokens_family (family_id),
+            INDEX idx_refresh_tokens_user (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+}
+
+async function down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS refresh_tokens');
+}
+
+module.exports = { up, down };
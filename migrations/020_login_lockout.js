@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require('./helpers');
+
+// Failed login counter and lock expiry for account lockout
+
+async function up(connection) {
+    await addColumn(connection, 'users', 'failed_login_attempts', 'INT NOT NULL DEFAULT 0');
+    await addColumn(connection, 'users', 'locked_until', 'DATETIME NULL');
+}
+
+async function down(connection) {
+    await dropColumn(connection, 'users', 'locked_until');
+    await dropColumn(connection, 'users', 'failed_login_attempts');
+}
+
+module.exports = { up, down };
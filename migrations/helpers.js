@@ -0,0 +1,46 @@
+// Schema helpers for migrations. Each checks information_schema first, so a step that
+// already happened (a re-run after a failure, or a database built by the old startup
+// DDL at some later version) is skipped instead of failing
+
+async function columnExists(connection, table, column) {
+    const [rows] = await connection.execute(
+        `SELECT 1 FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+async function indexExists(connection, table, index) {
+    const [rows] = await connection.execute(
+        `SELECT 1 FROM information_schema.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [table, index]
+    );
+    return rows.length > 0;
+}
+
+// Returns true when the column was added, false when it was already there
+async function addColumn(connection, table, column, definition) {
+    if (await columnExists(connection, table, column)) return false;
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+async function dropColumn(connection, table, column) {
+    if (!(await columnExists(connection, table, column))) return;
+    await connection.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+}
+
+// definition is the index clause, e.g. 'UNIQUE KEY uq_name (a, b)'
+async function addIndex(connection, table, index, definition) {
+    if (await indexExists(connection, table, index)) return;
+    await connection.execute(`ALTER TABLE ${table} ADD ${definition}`);
+}
+
+async function dropIndex(connection, table, index) {
+    if (!(await indexExists(connection, table, index))) return;
+    await connection.execute(`ALTER TABLE ${table} DROP INDEX ${index}`);
+}
+
+module.exports = { columnExists, indexExists, addColumn, dropColumn, addIndex, dropIndex };
@@ -0,0 +1,61 @@
+// ============================================
+// SEED DATA
+// Usage: node seed.js [catalog | demo]
+//   catalog - standard products, price tiers, units and delivery slots
+//   demo    - catalog plus demo users, delivery zones and a truck
+// Seeds only add rows that are missing, so they are safe to run again
+// ============================================
+
+require('dotenv').config();
+
+const mysql = require('mysql2/promise');
+const { dbConfig } = require('./database');
+const { migrationStatus } = require('./migrate');
+
+const SEEDS = {
+    catalog: ['catalog'],
+    demo: ['catalog', 'demo']
+};
+
+async function seed(name) {
+    const pool = mysql.createPool({ ...dbConfig, connectionLimit: 1 });
+    try {
+        const pending = (await migrationStatus(pool)).filter(migration => !migration.applied_at);
+        if (pending.length > 0) {
+            throw new Error(`Run "npm run migrate" first; ${pending.length} migration(s) are pending`);
+        }
+
+        const connection = await pool.getConnection();
+        try {
+            // Each seed is all-or-nothing
+            for (const file of SEEDS[name]) {
+                await connection.beginTransaction();
+                try {
+                    await require(`./seeds/${file}`).run(connection);
+                    await connection.commit();
+                } catch (error) {
+                    await connection.rollback();
+                    throw error;
+                }
+            }
+        } finally {
+            connection.release();
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+const [name = 'catalog'] = process.argv.slice(2);
+
+if (!SEEDS[name]) {
+    console.error('Usage: node seed.js [catalog | demo]');
+    process.exit(1);
+}
+
+seed(name)
+    .then(() => console.log(`Seeded ${name} data`))
+    .catch((error) => {
+        console.error('Seeding failed:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,110 @@
+// Standard product catalog and delivery slots. Rows are matched by name/label,
+// so running the seed again leaves existing entries (and any staff edits) alone
+
+const PRODUCTS = [
+    {
+        name: 'Premium Bricks',
+        description: 'Kiln-fired red clay bricks, 9 x 4 x 3 inches',
+        price: 8,
+        category: 'Bricks',
+        unit: 'unit',
+        allow_decimal: false,
+        stock_quantity: 50000,
+        weight_kg: 3.2,
+        volume_m3: 0.0018,
+        hsn_code: '6901',
+        gst_rate: 12,
+        tiers: [{ min_quantity: 1000, unit_price: 7.5 }, { min_quantity: 5000, unit_price: 7 }],
+        units: []
+    },
+    {
+        name: 'High-Grade Cement',
+        description: 'OPC 53 grade cement, 50 kg bag',
+        price: 350,
+        category: 'Cement',
+        unit: 'bag',
+        allow_decimal: false,
+        stock_quantity: 2000,
+        weight_kg: 50,
+        volume_m3: 0.035,
+        hsn_code: '2523',
+        gst_rate: 28,
+        tiers: [{ min_quantity: 50, unit_price: 340 }, { min_quantity: 200, unit_price: 330 }],
+        units: []
+    },
+    {
+        name: 'Steel Rods',
+        description: 'Fe 500D TMT reinforcement bars, 8 mm to 25 mm',
+        price: 65,
+        category: 'Steel',
+        unit: 'kg',
+        allow_decimal: true,
+        stock_quantity: 20000,
+        weight_kg: 1,
+        volume_m3: 0.0001,
+        hsn_code: '7214',
+        gst_rate: 18,
+        tiers: [{ min_quantity: 1000, unit_price: 62 }],
+        units: [{ unit: 'tonne', conversion_factor: 1000 }]
+    },
+    {
+        name: 'River Sand',
+        description: 'Washed and sieved river sand for plastering and concrete',
+        price: 45,
+        category: 'Sand & Aggregates',
+        unit: 'cft',
+        allow_decimal: true,
+        stock_quantity: 10000,
+        weight_kg: 45,
+        volume_m3: 0.0283,
+        hsn_code: '2505',
+        gst_rate: 5,
+        tiers: [{ min_quantity: 500, unit_price: 42 }],
+        units: [{ unit: 'brass', conversion_factor: 100 }]
+    }
+];
+
+const DELIVERY_SLOTS = [
+    { label: 'Morning', start_time: '08:00', end_time: '12:00', capacity: 5 },
+    { label: 'Afternoon', start_time: '12:00', end_time: '16:00', capacity: 5 },
+    { label: 'Evening', start_time: '16:00', end_time: '19:00', capacity: 3 }
+];
+
+async function run(connection) {
+    for (const { tiers, units, ...product } of PRODUCTS) {
+        const [existing] = await connection.execute('SELECT id FROM products WHERE name = ?', [product.name]);
+        if (existing.length > 0) continue;
+
+        const columns = Object.keys(product);
+        const [result] = await connection.execute(
+            `INSERT INTO products (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            Object.values(product)
+        );
+        for (const tier of tiers) {
+            await connection.execute(
+                'INSERT INTO product_price_tiers (product_id, min_quantity, unit_price) VALUES (?, ?, ?)',
+                [result.insertId, tier.min_quantity, tier.unit_price]
+            );
+        }
+        for (const unit of units) {
+            await connection.execute(
+                'INSERT INTO product_units (product_id, unit, conversion_factor) VALUES (?, ?, ?)',
+                [result.insertId, unit.unit, unit.conversion_factor]
+            );
+        }
+        console.log(`Added product: ${product.name}`);
+    }
+
+    for (const slot of DELIVERY_SLOTS) {
+        const [existing] = await connection.execute('SELECT id FROM delivery_slots WHERE label = ?', [slot.label]);
+        if (existing.length > 0) continue;
+
+        await connection.execute(
+            'INSERT INTO delivery_slots (label, start_time, end_time, capacity) VALUES (?, ?, ?, ?)',
+            [slot.label, slot.start_time, slot.end_time, slot.capacity]
+        );
+        console.log(`Added delivery slot: ${slot.label}`);
+    }
+}
+
+module.exports = { run };
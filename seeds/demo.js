@@ -0,0 +1,60 @@
+// Demo data for local development on top of the catalog: staff and customer
+// logins, a delivery zone and a truck. Not for production databases
+
+const bcrypt = require('bcryptjs');
+
+// Both accounts share SEED_USER_PASSWORD (default Demo@1234)
+const USERS = [
+    { username: 'admin', email: 'admin@example.com', full_name: 'Demo Admin', role: 'admin' },
+    { username: 'demo_customer', email: 'customer@example.com', full_name: 'Demo Customer', phone: '9876543210',
+        address: '12 Anna Salai, Chennai, Tamil Nadu 600002', role: 'customer' }
+];
+
+const DELIVERY_ZONES = [
+    { name: 'Local (within 15 km)', min_distance_km: 0, max_distance_km: 15, base_fee: 500, fee_per_tonne: 100, fee_per_truck: 0 },
+    { name: 'Extended (15-40 km)', min_distance_km: 15, max_distance_km: 40, base_fee: 1200, fee_per_tonne: 150, fee_per_truck: 500 }
+];
+
+const TRUCKS = [
+    { name: 'Tipper 1', registration_number: 'TN01AB1234', capacity_kg: 10000, capacity_m3: 8 }
+];
+
+async function run(connection) {
+    const password = await bcrypt.hash(process.env.SEED_USER_PASSWORD || 'Demo@1234', 10);
+    for (const user of USERS) {
+        const [existing] = await connection.execute('SELECT id FROM users WHERE username = ?', [user.username]);
+        if (existing.length > 0) continue;
+
+        await connection.execute(
+            `INSERT INTO users (username, email, password, full_name, phone, address, role, email_verified_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [user.username, user.email, password, user.full_name, user.phone || null, user.address || null, user.role]
+        );
+        console.log(`Added ${user.role}: ${user.username}`);
+    }
+
+    for (const zone of DELIVERY_ZONES) {
+        const [existing] = await connection.execute('SELECT id FROM delivery_zones WHERE name = ?', [zone.name]);
+        if (existing.length > 0) continue;
+
+        await connection.execute(
+            `INSERT INTO delivery_zones (name, min_distance_km, max_distance_km, base_fee, fee_per_tonne, fee_per_truck)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [zone.name, zone.min_distance_km, zone.max_distance_km, zone.base_fee, zone.fee_per_tonne, zone.fee_per_truck]
+        );
+        console.log(`Added delivery zone: ${zone.name}`);
+    }
+
+    for (const truck of TRUCKS) {
+        const [existing] = await connection.execute('SELECT id FROM trucks WHERE registration_number = ?', [truck.registration_number]);
+        if (existing.length > 0) continue;
+
+        await connection.execute(
+            'INSERT INTO trucks (name, registration_number, capacity_kg, capacity_m3) VALUES (?, ?, ?, ?)',
+            [truck.name, truck.registration_number, truck.capacity_kg, truck.capacity_m3]
+        );
+        console.log(`Added truck: ${truck.name}`);
+    }
+}
+
+module.exports = { run };
@@ -2,136 +2,197 @@
 // BACKEND API FOR MANI CONSTRUCTION MATERIALS
 // ============================================
 
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const mysql = require('mysql2/promise');
-const stripe = require('stripe')('your_stripe_secret_key');
 const nodemailer = require('nodemailer');
-require('dotenv').config();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Joi = require('joi');
+const { dbConfig } = require('./database');
+const { migrateUp } = require('./migrate');
+
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at a local stripe-mock during testing
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY, {
+    ...(process.env.STRIPE_API_HOST && {
+        host: process.env.STRIPE_API_HOST,
+        port: process.env.STRIPE_API_PORT,
+        protocol: process.env.STRIPE_API_PROTOCOL || 'http'
+    })
+});
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Frontend origin, used in emailed links and as the default CORS allow-list
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:5500').replace(/\/$/, '');
+
+// Comma-separated origins allowed to call the API; add "null" to allow pages opened from file://
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || FRONTEND_URL)
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+// Set TRUST_PROXY (e.g. 1) behind a load balancer so rate limits see the client's IP
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(helmet({
+    // Product images are loaded by the frontend from another origin
+    crossOriginResourcePolicy: { policy: 'cross-origin' }
+}));
+app.use(cors({
+    // Requests without an Origin (server-to-server, webhooks, curl) are not subject to CORS
+    origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes(origin))
+}));
+app.use(express.json({
+    // Keep the raw body for webhook signature verification
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Database connection
-const dbConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'mani_construction',
-    port: process.env.DB_PORT || 3306
-};
+// Uploaded files (product images)
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+app.use('/uploads', express.static(UPLOAD_DIR));
 
+// Connection pool; use withTransaction() for work that must be atomic
 let db;
 
 // Initialize database connection
 async function initDatabase() {
     try {
-        db = await mysql.createConnection(dbConfig);
+        db = mysql.createPool(dbConfig);
+        await db.query('SELECT 1');
         console.log('Database connected successfully');
         
-        // Create tables if they don't exist
-        await createTables();
+        // Apply pending schema migrations; set MIGRATE_ON_START=false to run `npm run migrate` by hand
+        if (process.env.MIGRATE_ON_START !== 'false') {
+            await migrateUp(db);
+        }
     } catch (error) {
         console.error('Database connection failed:', error);
     }
 }
 
-// Create database tables
-async function createTables() {
-    try {
-        // Users table
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                username VARCHAR(50) UNIQUE NOT NULL,
-                email VARCHAR(100) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                full_name VARCHAR(100),
-                phone VARCHAR(20),
-                address TEXT,
-                role ENUM('customer', 'admin', 'employee') DEFAULT 'customer',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Products table
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS products (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                name VARCHAR(100) NOT NULL,
-                description TEXT,
-                price DECIMAL(10,2) NOT NULL,
-                category VARCHAR(50),
-                stock_quantity INT DEFAULT 0,
-                image_url VARCHAR(255),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Orders table
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS orders (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                user_id INT,
-                total_amount DECIMAL(10,2) NOT NULL,
-                status ENUM('pending', 'confirmed', 'shipped', 'delivered', 'cancelled') DEFAULT 'pending',
-                payment_status ENUM('pending', 'paid', 'failed', 'refunded') DEFAULT 'pending',
-                payment_method VARCHAR(50),
-                shipping_address TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                FOREIGN KEY (user_id) REFERENCES users(id)
-            )
-        `);
-
-        // Order items table
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS order_items (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                order_id INT,
-                product_id INT,
-                quantity INT NOT NULL,
-                price DECIMAL(10,2) NOT NULL,
-                FOREIGN KEY (order_id) REFERENCES orders(id),
-                FOREIGN KEY (product_id) REFERENCES products(id)
-            )
-        `);
-
-        // Payments table
-        await db.execute(`
-            CREATE TABLE IF NOT EXISTS payments (
-                id INT AUTO_INCREMENT PRIMARY KEY,
-                order_id INT,
-                amount DECIMAL(10,2) NOT NULL,
-                payment_method VARCHAR(50),
-                transaction_id VARCHAR(255),
-                status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (order_id) REFERENCES orders(id)
-            )
-        `);
+// Error with an HTTP status, thrown from inside handlers/transactions and
+// turned into a JSON response by sendError()
+class ApiError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Send an ApiError as JSON, or log anything else as a 500
+function sendError(res, error, logLabel, fallbackMessage = 'Internal server error') {
+    if (error instanceof ApiError) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error(`${logLabel}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+}
 
-        console.log('Database tables created successfully');
+// Run fn(connection) inside a transaction on a dedicated pooled connection.
+// Commits when fn resolves, rolls back when it throws.
+async function withTransaction(fn) {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await fn(connection);
+        await connection.commit();
+        return result;
     } catch (error) {
-        console.error('Error creating tables:', error);
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
     }
 }
 
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
 
+// Currency for prices, orders and payments (ISO 4217)
+const CURRENCY = (process.env.CURRENCY || 'INR').toUpperCase();
+
+// GST state codes (the first two digits of a GSTIN) and the state or union territory for each
+const GST_STATES = {
+    '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+    '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+    '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+    '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+    '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka',
+    '30': 'Goa', '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh'
+};
+
+// Names compared on letters only, so "tamil nadu", "Tamilnadu" and "Jammu & Kashmir" all match
+const stateKey = (name) => String(name).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+const GST_STATE_CODES = new Map(Object.entries(GST_STATES).map(([code, name]) => [stateKey(name), code]));
+
+// GST state code for a state name or two-digit code; null when it is not a listed state
+function gstStateCode(state) {
+    if (state === undefined || state === null) return null;
+    const value = String(state).trim();
+    if (/^\d{1,2}$/.test(value)) {
+        const code = value.padStart(2, '0');
+        return GST_STATES[code] ? code : null;
+    }
+    return GST_STATE_CODES.get(stateKey(value)) || null;
+}
+
+// State we supply from; deliveries inside it pay CGST + SGST, others pay IGST
+const BUSINESS_STATE_CODE = gstStateCode(process.env.BUSINESS_STATE || 'Tamil Nadu');
+if (!BUSINESS_STATE_CODE) {
+    throw new Error(`BUSINESS_STATE "${process.env.BUSINESS_STATE}" is not an Indian state, union territory or GST state code`);
+}
+const BUSINESS_STATE = GST_STATES[BUSINESS_STATE_CODE];
+
 // ============================================
 // AUTHENTICATION MIDDLEWARE
 // ============================================
+// The user behind a verified access token, or null once its session has ended. The role
+// comes from the database so role changes apply immediately rather than when the token expires
+async function loadSessionUser(payload) {
+    const [users] = await db.execute(
+        `SELECT u.id, u.username, u.email, u.role, u.email_verified_at,
+                EXISTS (SELECT 1 FROM refresh_tokens r
+                        WHERE r.family_id = ? AND r.user_id = u.id AND r.revoked_at IS NULL AND r.expires_at > NOW()) AS session_active
+         FROM users u WHERE u.id = ?`,
+        [payload.sid || '', payload.id]
+    );
+    if (users.length === 0 || !users[0].session_active) {
+        return null;
+    }
+
+    const user = users[0];
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        sid: payload.sid,
+        email_verified: Boolean(user.email_verified_at)
+    };
+}
+
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -140,28 +201,416 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, payload) => {
         if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+            // The client refreshes and retries on token_expired
+            return err.name === 'TokenExpiredError'
+                ? res.status(401).json({ error: 'Access token expired', code: 'token_expired' })
+                : res.status(403).json({ error: 'Invalid or expired token' });
+        }
+
+        try {
+            req.user = await loadSessionUser(payload);
+            if (!req.user) {
+                return res.status(401).json({ error: 'Session has ended, please log in again', code: 'session_ended' });
+            }
+        } catch (error) {
+            return sendError(res, error, 'Authentication error');
+        }
+
+        next();
+    });
+};
+
+// Block unverified accounts from ordering and paying (use after authenticateToken)
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.email_verified) {
+        return res.status(403).json({ error: 'Please verify your email address first', code: 'email_unverified' });
+    }
+    next();
+};
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh, reset and verification tokens are stored as SHA-256 hashes
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Short-lived access token bound to a session (sid = refresh token family)
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { id: user.id, username: user.username, email: user.email, role: user.role, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+}
+
+// Store a new refresh token (hashed) in a session family and return the raw token
+async function issueRefreshToken(executor, userId, familyId, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    await executor.execute(
+        `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, user_agent, ip_address)
+         VALUES (?, ?, ?, NOW() + INTERVAL ${REFRESH_TOKEN_TTL_DAYS} DAY, ?, ?)`,
+        [userId, familyId, hashToken(refreshToken), (req.get('user-agent') || '').slice(0, 255) || null, req.ip || null]
+    );
+    return refreshToken;
+}
+
+// Start a new session; returns the token fields sent to the client
+async function startSession(executor, user, req) {
+    const familyId = crypto.randomBytes(16).toString('hex');
+    const refreshToken = await issueRefreshToken(executor, user.id, familyId, req);
+
+    return {
+        token: signAccessToken(user, familyId),
+        refresh_token: refreshToken,
+        expires_in: ACCESS_TOKEN_TTL_SECONDS
+    };
+}
+
+// End every session of a user (logout everywhere, password change or reset)
+async function revokeUserSessions(executor, userId, reason) {
+    await executor.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+        [reason, userId]
+    );
+}
+
+// Attach req.user when a valid token for a live session is sent, but let anonymous requests through
+const optionalAuthentication = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return next();
+    }
+
+    // Invalid tokens and ended sessions are treated as anonymous
+    jwt.verify(token, JWT_SECRET, async (err, payload) => {
+        if (!err) {
+            try {
+                req.user = (await loadSessionUser(payload)) || undefined;
+            } catch (error) {
+                return sendError(res, error, 'Authentication error');
+            }
         }
-        req.user = user;
         next();
     });
 };
 
+// Restrict a route to the given user roles (use after authenticateToken)
+const authorizeRoles = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+    next();
+};
+
+// Roles allowed to manage the catalog
+const STAFF_ROLES = ['admin', 'employee'];
+
 // ============================================
-// USER REGISTRATION AND LOGIN
+// RATE LIMITING
 // ============================================
 
-// User Registration
-app.post('/api/register', async (req, res) => {
+// Build a limiter from <NAME>_RATE_LIMIT_WINDOW_MS / <NAME>_RATE_LIMIT_MAX, falling back to the defaults.
+// Counts are kept in memory, so each server process limits separately.
+function createRateLimiter(name, defaults) {
+    const prefix = `${name.toUpperCase()}_RATE_LIMIT`;
+    return rateLimit({
+        windowMs: parseInt(process.env[`${prefix}_WINDOW_MS`]) || defaults.windowMs,
+        max: parseInt(process.env[`${prefix}_MAX`]) || defaults.max,
+        standardHeaders: true,
+        legacyHeaders: false,
+        skip: defaults.skip,
+        message: { error: 'Too many requests, please try again later', code: 'rate_limited' }
+    });
+}
+
+const rateLimiters = {
+    // Whole API; the older RATE_LIMIT_WINDOW_MS / RATE_LIMIT_MAX_REQUESTS names still set its defaults.
+    // Stripe webhooks are exempt so bursts of events are never dropped.
+    api: createRateLimiter('api', {
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+        max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+        skip: (req) => req.path.startsWith('/webhooks/')
+    }),
+    login: createRateLimiter('login', { windowMs: 15 * 60 * 1000, max: 10 }),
+    register: createRateLimiter('register', { windowMs: 60 * 60 * 1000, max: 5 }),
+    contact: createRateLimiter('contact', { windowMs: 60 * 60 * 1000, max: 5 }),
+    // Password reset and verification emails
+    email: createRateLimiter('email', { windowMs: 60 * 60 * 1000, max: 5 })
+};
+
+app.use('/api', rateLimiters.api);
+
+// ============================================
+// IDEMPOTENCY
+// ============================================
+// Clients send an Idempotency-Key header on requests that must not run twice.
+// The first successful (2xx) response is stored and replayed for any retry with
+// the same key and body; failed attempts are forgotten so they can be retried.
+
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+// Use after authenticateToken; requests without the header are processed normally
+const idempotent = async (req, res, next) => {
+    const key = req.headers['idempotency-key'];
+    if (!key) {
+        return next();
+    }
+    if (key.length > 255) {
+        return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+    }
+
+    const requestHash = crypto.createHash('sha256')
+        .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+
     try {
-        const { username, email, password, full_name, phone, address } = req.body;
+        await db.execute(
+            `DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL ${IDEMPOTENCY_KEY_TTL_HOURS} HOUR`
+        );
+
+        try {
+            await db.execute(
+                'INSERT INTO idempotency_keys (user_id, idempotency_key, request_hash) VALUES (?, ?, ?)',
+                [req.user.id, key, requestHash]
+            );
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY') {
+                throw error;
+            }
+
+            const [rows] = await db.execute(
+                'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+                [req.user.id, key]
+            );
+            const stored = rows[0];
+
+            if (!stored) {
+                return res.status(409).json({ error: 'Idempotency key conflict, please retry' });
+            }
+            if (stored.request_hash !== requestHash) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            if (stored.status === 'processing') {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.response_status).json(stored.response_body);
+        }
+    } catch (error) {
+        console.error('Idempotency error:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    // Store the response before it is sent so an immediate retry sees it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        const save = res.statusCode >= 200 && res.statusCode < 300
+            ? db.execute(
+                `UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?
+                 WHERE user_id = ? AND idempotency_key = ?`,
+                [res.statusCode, JSON.stringify(body), req.user.id, key]
+            )
+            : db.execute('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [req.user.id, key]);
+
+        save.catch(error => console.error('Idempotency save error:', error))
+            .finally(() => sendJson(body));
+        return res;
+    };
+
+    next();
+};
+
+// Reject payments for orders that can no longer be paid
+function assertOrderPayable(order) {
+    if (order.status === 'cancelled') {
+        throw new ApiError(409, 'Order has been cancelled');
+    }
+    if (order.payment_status !== 'pending' && order.payment_status !== 'failed') {
+        throw new ApiError(409, `Order is already ${order.payment_status.replace('_', ' ')}`);
+    }
+}
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+// Same strength rule as FormValidator's password rule in app.js
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/;
+
+// Same email and phone rules as FormValidator
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[\+]?[1-9][\d]{0,15}$/;
+
+// 15-character GSTIN: state code, PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Field rules shared by the route schemas
+const fieldRules = {
+    id: Joi.number().integer().positive(),
+    email: Joi.string().trim().max(100).pattern(EMAIL_PATTERN)
+        .messages({ 'string.pattern.base': '{#label} format is invalid' }),
+    phone: Joi.string().trim().max(20).pattern(PHONE_PATTERN)
+        .messages({ 'string.pattern.base': '{#label} format is invalid' }),
+    password: Joi.string().min(PASSWORD_MIN_LENGTH).max(128).pattern(PASSWORD_PATTERN)
+        .messages({ 'string.pattern.base': '{#label} must contain an uppercase letter, a lowercase letter and a number' }),
+    gstin: Joi.string().trim().uppercase().pattern(GSTIN_PATTERN)
+        .messages({ 'string.pattern.base': '{#label} format is invalid' }),
+    pincode: Joi.alternatives().try(Joi.string().trim().pattern(/^\d{6}$/), Joi.number().integer().min(100000).max(999999))
+        .messages({ 'alternatives.match': '{#label} must be 6 digits', 'alternatives.types': '{#label} must be 6 digits' }),
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => {
+        // Rejects dates that do not exist, e.g. 2026-02-30
+        const parsed = new Date(`${value}T00:00:00Z`);
+        return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value) ? value : helpers.error('any.invalid');
+    }).messages({ 'string.pattern.base': '{#label} must be in YYYY-MM-DD format', 'any.invalid': '{#label} is not a valid date' }),
+    time: Joi.string().pattern(/^\d{2}:\d{2}(:\d{2})?$/)
+        .messages({ 'string.pattern.base': '{#label} must be in HH:MM format' }),
+    boolean: Joi.boolean().truthy('1', 'on').falsy('0', 'off'),
+    quantity: Joi.number().positive().max(1000000),
+    amount: Joi.number().min(0).max(100000000),
+    token: Joi.string().trim().max(200),
+    text: (max) => Joi.string().trim().max(max),
+    // A state or union territory by name or GST state code, stored as its name
+    state: Joi.string().trim().max(50).custom((value, helpers) => {
+        const code = gstStateCode(value);
+        return code ? GST_STATES[code] : helpers.error('any.invalid');
+    }).messages({ 'any.invalid': '{#label} must be an Indian state or union territory, or its GST state code' }),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1)
+};
+
+fieldRules.orderItems = Joi.array().min(1).max(100).items(Joi.object({
+    product_id: fieldRules.id.required(),
+    quantity: fieldRules.quantity.required(),
+    unit: fieldRules.text(20).allow('', null)
+}));
+
+fieldRules.delivery = Joi.object({
+    pincode: fieldRules.pincode,
+    distance_km: Joi.number().min(0).max(10000),
+    date: fieldRules.date.required(),
+    slot_id: fieldRules.id.required()
+});
+
+const idParams = Joi.object({ id: fieldRules.id.required() });
+
+// Validate req.params, req.query and req.body against Joi schemas ({ params, query, body }).
+// Unknown body and query fields are dropped and valid values replace the originals, converted
+// (e.g. "5" -> 5). Failures return 400 with every error keyed by field path:
+// { error: <first message>, fields: { 'items.0.quantity': 'quantity must be a positive number' } }
+const validate = (schemas) => async (req, res, next) => {
+    const fields = {};
+    const values = {};
+
+    for (const part of ['params', 'query', 'body']) {
+        if (!schemas[part]) continue;
 
-        // Validate input
-        if (!username || !email || !password) {
-            return res.status(400).json({ error: 'Username, email, and password are required' });
+        const { error, value } = schemas[part].validate(req[part] || {}, {
+            abortEarly: false,
+            stripUnknown: part !== 'params',
+            errors: { wrap: { label: false }, label: 'key' }
+        });
+        if (error) {
+            for (const detail of error.details) {
+                const key = detail.path.join('.') || part;
+                if (!fields[key]) fields[key] = detail.message;
+            }
+        } else {
+            values[part] = value;
+        }
+    }
+
+    if (Object.keys(fields).length > 0) {
+        // A multipart upload has already been written to disk
+        if (req.file) await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({ error: Object.values(fields)[0], fields });
+    }
+
+    Object.assign(req, values);
+    next();
+};
+
+// ============================================
+// FILE UPLOADS
+// ============================================
+const PRODUCT_IMAGE_DIR = path.join(UPLOAD_DIR, 'products');
+fs.mkdirSync(PRODUCT_IMAGE_DIR, { recursive: true });
+
+// Accepted image types and the extension each is stored with. The extension never comes
+// from the client's file name, so an upload cannot be served back as HTML or script
+const PRODUCT_IMAGE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif'
+};
+
+const productImageUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, PRODUCT_IMAGE_DIR),
+        filename: (req, file, cb) => {
+            const ext = PRODUCT_IMAGE_TYPES[file.mimetype];
+            cb(null, `product-${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`);
+        }
+    }),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (!Object.prototype.hasOwnProperty.call(PRODUCT_IMAGE_TYPES, file.mimetype)) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = 'Only JPEG, PNG, WebP and GIF images are allowed';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Delete the file multer wrote for this request, when the product row never came to point at it
+async function discardUpload(req) {
+    if (req.file) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+    }
+}
+
+// Remove a previously uploaded product image; ignores external URLs and missing files
+async function removeProductImage(imageUrl) {
+    if (!imageUrl || !imageUrl.startsWith('/uploads/products/')) {
+        return;
+    }
+    try {
+        await fs.promises.unlink(path.join(PRODUCT_IMAGE_DIR, path.basename(imageUrl)));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Product image cleanup error:', error);
         }
+    }
+}
+
+// ============================================
+// USER REGISTRATION AND LOGIN
+// ============================================
+
+const registerSchema = Joi.object({
+    username: Joi.string().trim().min(3).max(50).pattern(/^[a-zA-Z0-9_]+$/).required()
+        .messages({ 'string.pattern.base': '{#label} may only contain letters, numbers and underscores' }),
+    email: fieldRules.email.required(),
+    password: fieldRules.password.required(),
+    full_name: fieldRules.text(100).allow('', null),
+    phone: fieldRules.phone.allow('', null),
+    address: fieldRules.text(500).allow('', null),
+    gstin: fieldRules.gstin.allow('', null)
+});
+
+// User Registration
+app.post('/api/register', rateLimiters.register, validate({ body: registerSchema }), async (req, res) => {
+    try {
+        const { username, email, password, full_name, phone, address, gstin } = req.body;
 
         // Check if user already exists
         const [existingUser] = await db.execute(
@@ -176,30 +625,30 @@ app.post('/api/register', async (req, res) => {
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Insert new user
-        const [result] = await db.execute(
-            'INSERT INTO users (username, email, password, full_name, phone, address) VALUES (?, ?, ?, ?, ?, ?)',
-            [username, email, hashedPassword, full_name, phone, address]
-        );
-
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: result.insertId, username, email, role: 'customer' },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // Insert new user; the account starts unverified and the welcome email carries the verification link
+        const result = await withTransaction(async (connection) => {
+            const [inserted] = await connection.execute(
+                'INSERT INTO users (username, email, password, full_name, phone, address, gstin) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [username, email, hashedPassword, full_name, phone, address, gstin ? String(gstin).toUpperCase() : null]
+            );
+            await sendEmailVerification(connection, { id: inserted.insertId, username, full_name, email }, 'welcome');
+            const session = await startSession(connection, { id: inserted.insertId, username, email, role: 'customer' }, req);
+            return { userId: inserted.insertId, session };
+        });
 
         res.status(201).json({
             message: 'User registered successfully',
-            token,
+            ...result.session,
             user: {
-                id: result.insertId,
+                id: result.userId,
                 username,
                 email,
                 full_name,
                 phone,
                 address,
-                role: 'customer'
+                gstin: gstin ? String(gstin).toUpperCase() : null,
+                role: 'customer',
+                email_verified: false
             }
         });
 
@@ -209,16 +658,53 @@ app.post('/api/register', async (req, res) => {
     }
 });
 
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1;
+const LOGIN_LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// Count a failed login. From LOGIN_LOCKOUT_THRESHOLD failures on, each failure locks the
+// account for twice as long as the last (1, 2, 4... minutes, capped). Returns the lock expiry, if any.
+// The count is read under a row lock so parallel guesses cannot overwrite each other's increments.
+async function recordFailedLogin(user) {
+    return await withTransaction(async (connection) => {
+        const [rows] = await connection.execute('SELECT failed_login_attempts FROM users WHERE id = ? FOR UPDATE', [user.id]);
+        const attempts = rows[0].failed_login_attempts + 1;
+
+        if (attempts < LOGIN_LOCKOUT_THRESHOLD) {
+            await connection.execute('UPDATE users SET failed_login_attempts = ? WHERE id = ?', [attempts, user.id]);
+            return null;
+        }
+
+        const minutes = Math.min(LOGIN_LOCKOUT_BASE_MINUTES * 2 ** (attempts - LOGIN_LOCKOUT_THRESHOLD), LOGIN_LOCKOUT_MAX_MINUTES);
+        const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        await connection.execute(
+            'UPDATE users SET failed_login_attempts = ?, locked_until = ? WHERE id = ?',
+            [attempts, lockedUntil, user.id]
+        );
+        return lockedUntil;
+    });
+}
+
+function sendLockedResponse(res, lockedUntil) {
+    const retryAfter = Math.max(Math.ceil((new Date(lockedUntil) - Date.now()) / 1000), 1);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        error: `Account temporarily locked after too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+        code: 'account_locked',
+        retry_after: retryAfter
+    });
+}
+
 // User Login
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimiters.login, validate({
+    body: Joi.object({
+        username: Joi.string().trim().max(100).required(),
+        password: Joi.string().max(128).required()
+    })
+}), async (req, res) => {
     try {
         const { username, password } = req.body;
 
-        // Validate input
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username and password are required' });
-        }
-
         // Find user
         const [users] = await db.execute(
             'SELECT * FROM users WHERE username = ? OR email = ?',
@@ -231,23 +717,30 @@ app.post('/api/login', async (req, res) => {
 
         const user = users[0];
 
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            return sendLockedResponse(res, user.locked_until);
+        }
+
         // Verify password
         const isValidPassword = await bcrypt.compare(password, user.password);
 
         if (!isValidPassword) {
+            const lockedUntil = await recordFailedLogin(user);
+            if (lockedUntil) {
+                return sendLockedResponse(res, lockedUntil);
+            }
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: user.id, username: user.username, email: user.email, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        if (user.failed_login_attempts > 0 || user.locked_until) {
+            await db.execute('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [user.id]);
+        }
+
+        const session = await startSession(db, user, req);
 
         res.json({
             message: 'Login successful',
-            token,
+            ...session,
             user: {
                 id: user.id,
                 username: user.username,
@@ -255,7 +748,9 @@ app.post('/api/login', async (req, res) => {
                 full_name: user.full_name,
                 phone: user.phone,
                 address: user.address,
-                role: user.role
+                gstin: user.gstin,
+                role: user.role,
+                email_verified: Boolean(user.email_verified_at)
             }
         });
 
@@ -269,7 +764,7 @@ app.post('/api/login', async (req, res) => {
 app.get('/api/profile', authenticateToken, async (req, res) => {
     try {
         const [users] = await db.execute(
-            'SELECT id, username, email, full_name, phone, address, role, created_at FROM users WHERE id = ?',
+            'SELECT id, username, email, full_name, phone, address, gstin, role, email_verified_at, created_at FROM users WHERE id = ?',
             [req.user.id]
         );
 
@@ -277,250 +772,3818 @@ app.get('/api/profile', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        res.json({ user: users[0] });
+        const { email_verified_at, ...user } = users[0];
+        res.json({ user: { ...user, email_verified: Boolean(email_verified_at) } });
     } catch (error) {
         console.error('Profile error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// ============================================
-// PRODUCT MANAGEMENT
-// ============================================
+const PROFILE_FIELDS = ['full_name', 'phone', 'address', 'email', 'gstin'];
+const EMAIL_TAKEN_MESSAGE = 'Email is already registered to another account';
 
-// Get all products
-app.get('/api/products', async (req, res) => {
+// Update own profile. A new email address is unverified until its emailed link is used.
+app.put('/api/profile', authenticateToken, validate({
+    body: Joi.object({
+        full_name: fieldRules.text(100).allow('', null),
+        phone: fieldRules.phone.allow('', null),
+        address: fieldRules.text(500).allow('', null),
+        email: fieldRules.email,
+        gstin: fieldRules.gstin.allow('', null)
+    })
+}), async (req, res) => {
     try {
-        const [products] = await db.execute('SELECT * FROM products ORDER BY created_at DESC');
-        res.json({ products });
+        const updates = {};
+        for (const field of PROFILE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field] === '' ? null : req.body[field];
+            }
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: `Provide at least one of: ${PROFILE_FIELDS.join(', ')}` });
+        }
+
+        const user = await withTransaction(async (connection) => {
+            const [users] = await connection.execute('SELECT * FROM users WHERE id = ? FOR UPDATE', [req.user.id]);
+            const current = users[0];
+            const emailChanged = updates.email !== undefined && updates.email !== current.email;
+
+            if (emailChanged) {
+                const [taken] = await connection.execute('SELECT id FROM users WHERE email = ? AND id <> ?', [updates.email, current.id]);
+                if (taken.length > 0) {
+                    throw new ApiError(409, EMAIL_TAKEN_MESSAGE, { fields: { email: EMAIL_TAKEN_MESSAGE } });
+                }
+            }
+
+            const fields = Object.keys(updates);
+            await connection.execute(
+                `UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')}${emailChanged ? ', email_verified_at = NULL' : ''}
+                 WHERE id = ?`,
+                [...fields.map(field => updates[field]), current.id]
+            );
+
+            if (emailChanged) {
+                await sendEmailVerification(connection, { ...current, ...updates });
+            }
+
+            const [updated] = await connection.execute(
+                'SELECT id, username, email, full_name, phone, address, gstin, role, email_verified_at, created_at FROM users WHERE id = ?',
+                [current.id]
+            );
+            const { email_verified_at, ...profile } = updated[0];
+            return { ...profile, email_verified: Boolean(email_verified_at) };
+        });
+
+        res.json({
+            message: user.email_verified ? 'Profile updated' : 'Profile updated, please verify your email address',
+            user
+        });
     } catch (error) {
-        console.error('Products error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        // Another request can claim the email between the check above and the UPDATE
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: EMAIL_TAKEN_MESSAGE, fields: { email: EMAIL_TAKEN_MESSAGE } });
+        }
+        sendError(res, error, 'Profile update error');
     }
 });
 
-// Get single product
-app.get('/api/products/:id', async (req, res) => {
+// Change own password; other sessions are signed out, this one stays logged in
+app.put('/api/profile/password', authenticateToken, validate({
+    body: Joi.object({
+        current_password: Joi.string().max(128).required(),
+        new_password: fieldRules.password.required()
+    })
+}), async (req, res) => {
     try {
-        const [products] = await db.execute('SELECT * FROM products WHERE id = ?', [req.params.id]);
-        
-        if (products.length === 0) {
-            return res.status(404).json({ error: 'Product not found' });
+        const { current_password, new_password } = req.body;
+
+        const [users] = await db.execute('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        const user = users[0];
+
+        if (!(await bcrypt.compare(current_password, user.password))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
         }
 
-        res.json({ product: products[0] });
+        const hashedPassword = await bcrypt.hash(new_password, 10);
+
+        await withTransaction(async (connection) => {
+            await connection.execute('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, user.id]);
+            await connection.execute(
+                `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'password_change'
+                 WHERE user_id = ? AND family_id <> ? AND revoked_at IS NULL`,
+                [user.id, req.user.sid]
+            );
+            await queueEmail(connection, 'password_changed', user.email, { name: user.full_name || user.username });
+        });
+
+        res.json({ message: 'Password changed, other sessions have been signed out' });
     } catch (error) {
-        console.error('Product error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Password change error');
     }
 });
 
 // ============================================
-// ORDER MANAGEMENT
+// SESSIONS
 // ============================================
 
-// Create order
-app.post('/api/orders', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new access token and a new refresh token.
+// A refresh token that was already rotated being used again means it leaked,
+// so the whole session is revoked.
+const refreshTokenBody = Joi.object({ refresh_token: fieldRules.token.required() });
+
+app.post('/api/token/refresh', validate({ body: refreshTokenBody }), async (req, res) => {
     try {
-        const { items, shipping_address, payment_method } = req.body;
+        const { refresh_token } = req.body;
 
-        if (!items || items.length === 0) {
-            return res.status(400).json({ error: 'Order items are required' });
-        }
+        const result = await withTransaction(async (connection) => {
+            const [tokens] = await connection.execute(
+                'SELECT * FROM refresh_tokens WHERE token_hash = ? FOR UPDATE',
+                [hashToken(String(refresh_token))]
+            );
+            if (tokens.length === 0) {
+                throw new ApiError(401, 'Invalid refresh token', { code: 'session_ended' });
+            }
 
-        // Calculate total amount
-        let totalAmount = 0;
-        for (const item of items) {
-            const [products] = await db.execute('SELECT price FROM products WHERE id = ?', [item.product_id]);
-            if (products.length === 0) {
-                return res.status(400).json({ error: `Product with ID ${item.product_id} not found` });
+            const current = tokens[0];
+            if (current.revoked_at) {
+                if (current.revoked_reason === 'rotated') {
+                    console.warn(`Refresh token reuse detected for user ${current.user_id}, revoking session ${current.family_id}`);
+                    await connection.execute(
+                        "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'reuse_detected' WHERE family_id = ? AND revoked_at IS NULL",
+                        [current.family_id]
+                    );
+                    return null;
+                }
+                throw new ApiError(401, 'Session has ended, please log in again', { code: 'session_ended' });
+            }
+            if (new Date(current.expires_at) <= new Date()) {
+                throw new ApiError(401, 'Session has expired, please log in again', { code: 'session_ended' });
             }
-            totalAmount += products[0].price * item.quantity;
+
+            const [users] = await connection.execute('SELECT id, username, email, role FROM users WHERE id = ?', [current.user_id]);
+            await connection.execute(
+                "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'rotated' WHERE id = ?",
+                [current.id]
+            );
+            const refreshToken = await issueRefreshToken(connection, current.user_id, current.family_id, req);
+
+            return {
+                token: signAccessToken(users[0], current.family_id),
+                refresh_token: refreshToken,
+                expires_in: ACCESS_TOKEN_TTL_SECONDS
+            };
+        });
+
+        // The revocation above must commit, so the reuse error is sent after the transaction
+        if (!result) {
+            return res.status(401).json({ error: 'Session has ended, please log in again', code: 'session_ended' });
         }
 
-        // Create order
-        const [orderResult] = await db.execute(
-            'INSERT INTO orders (user_id, total_amount, shipping_address, payment_method) VALUES (?, ?, ?, ?)',
-            [req.user.id, totalAmount, shipping_address, payment_method]
-        );
+        res.json(result);
+    } catch (error) {
+        sendError(res, error, 'Token refresh error');
+    }
+});
 
-        const orderId = orderResult.insertId;
+// Log out this session; works with the refresh token alone so an expired access token is fine
+app.post('/api/logout', validate({ body: refreshTokenBody }), async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
 
-        // Create order items
-        for (const item of items) {
-            const [products] = await db.execute('SELECT price FROM products WHERE id = ?', [item.product_id]);
+        const [tokens] = await db.execute(
+            'SELECT family_id FROM refresh_tokens WHERE token_hash = ?',
+            [hashToken(String(refresh_token))]
+        );
+        if (tokens.length > 0) {
             await db.execute(
-                'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)',
-                [orderId, item.product_id, item.quantity, products[0].price]
+                "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'logout' WHERE family_id = ? AND revoked_at IS NULL",
+                [tokens[0].family_id]
             );
         }
 
-        res.status(201).json({
-            message: 'Order created successfully',
-            order: {
-                id: orderId,
-                user_id: req.user.id,
-                total_amount: totalAmount,
-                status: 'pending',
-                payment_status: 'pending',
-                shipping_address,
-                payment_method
-            }
-        });
-
+        res.json({ message: 'Logged out' });
     } catch (error) {
-        console.error('Order creation error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Logout error');
     }
 });
 
-// Get user orders
-app.get('/api/orders', authenticateToken, async (req, res) => {
+// Log out every session of the current user, on all devices
+app.post('/api/logout-all', authenticateToken, async (req, res) => {
     try {
-        const [orders] = await db.execute(
-            'SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC',
+        await revokeUserSessions(db, req.user.id, 'logout_all');
+        res.json({ message: 'Logged out of all devices' });
+    } catch (error) {
+        sendError(res, error, 'Logout error');
+    }
+});
+
+// ============================================
+// PASSWORD RESET
+// ============================================
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Email a reset link. The response is the same whether or not the email is registered.
+app.post('/api/password-reset/request', rateLimiters.email, validate({
+    body: Joi.object({ email: fieldRules.email.required() })
+}), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        await withTransaction(async (connection) => {
+            const [users] = await connection.execute(
+                'SELECT id, username, full_name, email FROM users WHERE email = ? FOR UPDATE',
+                [email]
+            );
+            if (users.length === 0) {
+                return;
+            }
+
+            const user = users[0];
+            const token = crypto.randomBytes(32).toString('hex');
+
+            // Only the newest link works
+            await connection.execute(
+                'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+                [user.id]
+            );
+            await connection.execute(
+                `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+                 VALUES (?, ?, NOW() + INTERVAL ${PASSWORD_RESET_TTL_MINUTES} MINUTE)`,
+                [user.id, hashToken(token)]
+            );
+            await queueEmail(connection, 'password_reset', user.email, {
+                name: user.full_name || user.username,
+                link: `${FRONTEND_URL}/login.html?reset_token=${token}`,
+                minutes: PASSWORD_RESET_TTL_MINUTES
+            });
+        });
+
+        res.json({ message: 'If that email is registered, a password reset link has been sent' });
+    } catch (error) {
+        sendError(res, error, 'Password reset request error');
+    }
+});
+
+// Set a new password with an emailed token; the token is single-use and all existing sessions end
+app.post('/api/password-reset/confirm', validate({
+    body: Joi.object({ token: fieldRules.token.required(), password: fieldRules.password.required() })
+}), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        await withTransaction(async (connection) => {
+            const [tokens] = await connection.execute(
+                `SELECT * FROM password_reset_tokens
+                 WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+                 FOR UPDATE`,
+                [hashToken(String(token))]
+            );
+            if (tokens.length === 0) {
+                throw new ApiError(400, 'This reset link is invalid or has expired');
+            }
+
+            const userId = tokens[0].user_id;
+            await connection.execute(
+                'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+                [userId]
+            );
+            await connection.execute(
+                'UPDATE users SET password = ?, failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+                [hashedPassword, userId]
+            );
+            await revokeUserSessions(connection, userId, 'password_reset');
+
+            const [users] = await connection.execute('SELECT username, full_name, email FROM users WHERE id = ?', [userId]);
+            await queueEmail(connection, 'password_changed', users[0].email, {
+                name: users[0].full_name || users[0].username
+            });
+        });
+
+        res.json({ message: 'Password has been reset, please log in with your new password' });
+    } catch (error) {
+        sendError(res, error, 'Password reset error');
+    }
+});
+
+// ============================================
+// EMAIL VERIFICATION
+// ============================================
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+// Issue a fresh verification token for user.email (cancelling older ones) and queue
+// the email carrying its link, using the given template ('verify_email' or 'welcome')
+async function sendEmailVerification(connection, user, template = 'verify_email') {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await connection.execute(
+        'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+    );
+    await connection.execute(
+        `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+         VALUES (?, ?, ?, NOW() + INTERVAL ${EMAIL_VERIFICATION_TTL_HOURS} HOUR)`,
+        [user.id, user.email, hashToken(token)]
+    );
+    await queueEmail(connection, template, user.email, {
+        name: user.full_name || user.username,
+        username: user.username,
+        link: `${FRONTEND_URL}/login.html?verify_token=${token}`,
+        hours: EMAIL_VERIFICATION_TTL_HOURS
+    });
+}
+
+// Confirm an email address with the emailed token
+app.post('/api/verify-email', validate({ body: Joi.object({ token: fieldRules.token.required() }) }), async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        await withTransaction(async (connection) => {
+            const [tokens] = await connection.execute(
+                `SELECT * FROM email_verification_tokens
+                 WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+                 FOR UPDATE`,
+                [hashToken(String(token))]
+            );
+            if (tokens.length === 0) {
+                throw new ApiError(400, 'This verification link is invalid or has expired');
+            }
+
+            await connection.execute('UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ?', [tokens[0].id]);
+            // The link only confirms the address it was sent to
+            const [updated] = await connection.execute(
+                'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email = ?',
+                [tokens[0].user_id, tokens[0].email]
+            );
+            if (updated.affectedRows === 0) {
+                throw new ApiError(400, 'This verification link is for an email address no longer on the account');
+            }
+        });
+
+        res.json({ message: 'Email address verified' });
+    } catch (error) {
+        sendError(res, error, 'Email verification error');
+    }
+});
+
+// Send a new verification link to the logged-in user's email
+app.post('/api/verify-email/resend', rateLimiters.email, authenticateToken, async (req, res) => {
+    try {
+        if (req.user.email_verified) {
+            return res.status(409).json({ error: 'Email address is already verified' });
+        }
+
+        await withTransaction(async (connection) => {
+            const [users] = await connection.execute(
+                'SELECT id, username, full_name, email FROM users WHERE id = ? FOR UPDATE',
+                [req.user.id]
+            );
+            await sendEmailVerification(connection, users[0]);
+        });
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        sendError(res, error, 'Verification resend error');
+    }
+});
+
+// ============================================
+// ADDRESS BOOK
+// ============================================
+
+const ADDRESS_FIELDS = ['label', 'contact_name', 'phone', 'address_line', 'landmark', 'city', 'state', 'pincode'];
+
+// Saved address fields; label, address_line and pincode are required on create
+const addressSchema = Joi.object({
+    label: fieldRules.text(50).min(1),
+    contact_name: fieldRules.text(100).allow('', null),
+    phone: fieldRules.phone.allow('', null),
+    address_line: fieldRules.text(500).min(1),
+    landmark: fieldRules.text(255).allow('', null),
+    city: fieldRules.text(100).allow('', null),
+    state: fieldRules.state.allow('', null),
+    pincode: fieldRules.pincode,
+    is_default: fieldRules.boolean
+});
+
+// Single-line form of a saved address for orders.shipping_address
+function formatAddress(address) {
+    return [
+        address.contact_name,
+        address.address_line,
+        address.landmark && `Near ${address.landmark}`,
+        address.city,
+        address.state,
+        address.pincode,
+        address.phone && `Phone: ${address.phone}`
+    ].filter(Boolean).join(', ');
+}
+
+// Load one of the user's saved addresses, or throw a 400
+async function getUserAddress(executor, userId, addressId) {
+    const [addresses] = await executor.execute(
+        'SELECT * FROM user_addresses WHERE id = ? AND user_id = ?',
+        [addressId, userId]
+    );
+    if (addresses.length === 0) {
+        throw new ApiError(400, 'Saved address not found');
+    }
+    return addresses[0];
+}
+
+// List saved addresses, default first
+app.get('/api/addresses', authenticateToken, async (req, res) => {
+    try {
+        const [addresses] = await db.execute(
+            'SELECT * FROM user_addresses WHERE user_id = ? ORDER BY is_default DESC, label',
             [req.user.id]
         );
+        res.json({ addresses });
+    } catch (error) {
+        console.error('Addresses error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Save a new address; the first one (or is_default=true) becomes the default
+app.post('/api/addresses', authenticateToken, validate({
+    body: addressSchema.fork(['label', 'address_line', 'pincode'], (field) => field.required())
+}), async (req, res) => {
+    try {
+        const address = await withTransaction(async (connection) => {
+            const [[{ count }]] = await connection.execute(
+                'SELECT COUNT(*) AS count FROM user_addresses WHERE user_id = ? FOR UPDATE',
+                [req.user.id]
+            );
+            const isDefault = count === 0 || req.body.is_default === true;
+
+            if (isDefault) {
+                await connection.execute('UPDATE user_addresses SET is_default = FALSE WHERE user_id = ?', [req.user.id]);
+            }
+
+            const [result] = await connection.execute(
+                `INSERT INTO user_addresses (user_id, ${ADDRESS_FIELDS.join(', ')}, is_default)
+                 VALUES (?, ${ADDRESS_FIELDS.map(() => '?').join(', ')}, ?)`,
+                [req.user.id, ...ADDRESS_FIELDS.map(field => req.body[field] || null), isDefault]
+            );
+
+            return await getUserAddress(connection, req.user.id, result.insertId);
+        });
+
+        res.status(201).json({ message: 'Address saved successfully', address });
+    } catch (error) {
+        sendError(res, error, 'Address creation error');
+    }
+});
+
+// Update a saved address
+app.put('/api/addresses/:id', authenticateToken, validate({ params: idParams, body: addressSchema }), async (req, res) => {
+    try {
+        const fields = ADDRESS_FIELDS.filter(field => req.body[field] !== undefined);
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'No address fields to update' });
+        }
+
+        const [result] = await db.execute(
+            `UPDATE user_addresses SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ? AND user_id = ?`,
+            [...fields.map(field => req.body[field] || null), req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Address not found' });
+        }
+
+        const address = await getUserAddress(db, req.user.id, req.params.id);
+        res.json({ message: 'Address updated successfully', address });
+    } catch (error) {
+        sendError(res, error, 'Address update error');
+    }
+});
+
+// Make a saved address the default
+app.post('/api/addresses/:id/default', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    try {
+        await withTransaction(async (connection) => {
+            const [addresses] = await connection.execute(
+                'SELECT id FROM user_addresses WHERE id = ? AND user_id = ? FOR UPDATE',
+                [req.params.id, req.user.id]
+            );
+            if (addresses.length === 0) {
+                throw new ApiError(404, 'Address not found');
+            }
+
+            await connection.execute(
+                'UPDATE user_addresses SET is_default = (id = ?) WHERE user_id = ?',
+                [addresses[0].id, req.user.id]
+            );
+        });
+
+        res.json({ message: 'Default address updated' });
+    } catch (error) {
+        sendError(res, error, 'Default address error');
+    }
+});
+
+// Delete a saved address; past orders keep their own copy
+app.delete('/api/addresses/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    try {
+        await withTransaction(async (connection) => {
+            const [addresses] = await connection.execute(
+                'SELECT id, is_default FROM user_addresses WHERE id = ? AND user_id = ? FOR UPDATE',
+                [req.params.id, req.user.id]
+            );
+            if (addresses.length === 0) {
+                throw new ApiError(404, 'Address not found');
+            }
+
+            await connection.execute('DELETE FROM user_addresses WHERE id = ?', [addresses[0].id]);
+
+            // Hand the default over to the most recently saved remaining address
+            if (addresses[0].is_default) {
+                await connection.execute(
+                    'UPDATE user_addresses SET is_default = TRUE WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+                    [req.user.id]
+                );
+            }
+        });
+
+        res.json({ message: 'Address deleted successfully' });
+    } catch (error) {
+        sendError(res, error, 'Address deletion error');
+    }
+});
+
+// ============================================
+// PRICING
+// ============================================
+
+// Load bulk price tiers for the given products as a Map of product_id -> tiers (ascending min_quantity)
+async function getPriceTiers(executor, productIds) {
+    const tiers = new Map(productIds.map(id => [Number(id), []]));
+    if (productIds.length === 0) {
+        return tiers;
+    }
+
+    const [rows] = await executor.execute(
+        `SELECT product_id, min_quantity, unit_price FROM product_price_tiers
+         WHERE product_id IN (${productIds.map(() => '?').join(', ')})
+         ORDER BY product_id, min_quantity`,
+        productIds
+    );
+    for (const row of rows) {
+        tiers.get(row.product_id).push({ min_quantity: row.min_quantity, unit_price: Number(row.unit_price) });
+    }
+    return tiers;
+}
+
+// Work out the base-unit price for a quantity (in base units): the tier with the highest min_quantity
+// the quantity reaches, otherwise the product's base price
+function resolveTierPrice(basePrice, tiers, quantity) {
+    const base = Number(basePrice);
+    let tier = null;
+    for (const candidate of tiers) {
+        if (quantity >= candidate.min_quantity && candidate.unit_price < base) {
+            tier = candidate;
+        }
+    }
+
+    const unitPrice = tier ? tier.unit_price : base;
+    return {
+        unit_price: unitPrice,
+        base_price: base,
+        tier_min_quantity: tier ? tier.min_quantity : null,
+        discount_amount: Math.round((base - unitPrice) * quantity * 100) / 100
+    };
+}
+
+// ============================================
+// UNITS OF MEASURE
+// ============================================
+// Stock, prices and price tiers are kept in a product's base unit (products.unit).
+// product_units lists other units it can be sold in, with how many base units each holds.
+
+// Round a quantity to the 3 decimal places stored in the database
+function roundQuantity(quantity) {
+    return Math.round(quantity * 1000) / 1000;
+}
+
+// Load alternate units as a Map of product_id -> [{ unit, conversion_factor }]
+async function getProductUnits(executor, productIds) {
+    const units = new Map(productIds.map(id => [Number(id), []]));
+    if (productIds.length === 0) {
+        return units;
+    }
+
+    const [rows] = await executor.execute(
+        `SELECT product_id, unit, conversion_factor FROM product_units
+         WHERE product_id IN (${productIds.map(() => '?').join(', ')})
+         ORDER BY product_id, conversion_factor`,
+        productIds
+    );
+    for (const row of rows) {
+        units.get(row.product_id).push({ unit: row.unit, conversion_factor: Number(row.conversion_factor) });
+    }
+    return units;
+}
+
+// Find the conversion factor for selling a product in the requested unit (base unit when omitted)
+function resolveUnit(product, alternates, unit) {
+    if (!unit || unit === product.unit) {
+        return { unit: product.unit, conversion_factor: 1 };
+    }
+
+    const match = alternates.find(candidate => candidate.unit === unit);
+    if (!match) {
+        const available = [product.unit, ...alternates.map(candidate => candidate.unit)];
+        throw new ApiError(400, `${product.name} is not sold by ${unit}; use one of: ${available.join(', ')}`);
+    }
+    return match;
+}
+
+// Convert and price one requested line: { product_id, quantity, unit } against a product row.
+// Quantities are converted to base units for stock and tier lookup; prices are per requested unit.
+function priceProductLine(product, tiers, alternates, item) {
+    const { unit, conversion_factor } = resolveUnit(product, alternates, item.unit);
+    const baseQuantity = roundQuantity(item.quantity * conversion_factor);
+
+    if (!product.allow_decimal && !Number.isInteger(baseQuantity)) {
+        throw new ApiError(400, `${product.name} is only sold in whole ${product.unit} quantities`);
+    }
+
+    const pricing = resolveTierPrice(product.price, tiers, baseQuantity);
+    const price = Math.round(pricing.unit_price * conversion_factor * 100) / 100;
+    const basePrice = Math.round(pricing.base_price * conversion_factor * 100) / 100;
+
+    return {
+        product_id: product.id,
+        product_name: product.name,
+        unit,
+        quantity: item.quantity,
+        base_quantity: baseQuantity,
+        price,
+        base_price: basePrice,
+        tier_min_quantity: pricing.tier_min_quantity,
+        discount_amount: Math.round((basePrice - price) * item.quantity * 100) / 100,
+        hsn_code: product.hsn_code || null,
+        gst_rate: Number(product.gst_rate) || 0,
+        weight_kg: roundQuantity(baseQuantity * (Number(product.weight_kg) || 0)),
+        volume_m3: Math.round(baseQuantity * (Number(product.volume_m3) || 0) * 10000) / 10000
+    };
+}
+
+// Add price_tiers and sellable units to each product row
+async function attachProductDetails(products) {
+    const ids = products.map(product => product.id);
+    const tiers = await getPriceTiers(db, ids);
+    const units = await getProductUnits(db, ids);
+
+    return products.map(product => ({
+        ...product,
+        allow_decimal: Boolean(product.allow_decimal),
+        price_tiers: tiers.get(product.id) || [],
+        units: [
+            { unit: product.unit, conversion_factor: 1 },
+            ...(units.get(product.id) || [])
+        ]
+    }));
+}
+
+// ============================================
+// TAX (GST)
+// ============================================
+// Catalog prices are taxable values (GST-exclusive). GST is added per line at
+// the product's rate: split equally into CGST + SGST when delivering inside
+// BUSINESS_STATE, charged as IGST when delivering to another state.
+
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// Inter-state supply when the place of supply's GST state code differs from ours. Orders from
+// before GST was added have no place of supply and were all billed in-state
+function isInterstateSupply(placeOfSupply) {
+    return Boolean(placeOfSupply) && gstStateCode(placeOfSupply) !== BUSINESS_STATE_CODE;
+}
+
+// Add taxable_value and CGST/SGST/IGST amounts to each priced line; returns the order totals.
+// placeOfSupply must be a listed state or GST state code
+function applyGst(lines, placeOfSupply) {
+    const interstate = isInterstateSupply(placeOfSupply);
+    const totals = { taxable_amount: 0, cgst_amount: 0, sgst_amount: 0, igst_amount: 0 };
+
+    for (const line of lines) {
+        const rate = Number(line.gst_rate) || 0;
+        line.taxable_value = Math.round(line.price * line.quantity * 100) / 100;
+
+        if (interstate) {
+            line.cgst_amount = 0;
+            line.sgst_amount = 0;
+            line.igst_amount = Math.round(line.taxable_value * rate) / 100;
+        } else {
+            // Each half is rounded separately, as it appears on the invoice
+            line.cgst_amount = Math.round(line.taxable_value * rate / 2) / 100;
+            line.sgst_amount = line.cgst_amount;
+            line.igst_amount = 0;
+        }
+
+        totals.taxable_amount += line.taxable_value;
+        totals.cgst_amount += line.cgst_amount;
+        totals.sgst_amount += line.sgst_amount;
+        totals.igst_amount += line.igst_amount;
+    }
+
+    for (const key of Object.keys(totals)) {
+        totals[key] = Math.round(totals[key] * 100) / 100;
+    }
+    totals.tax_amount = Math.round((totals.cgst_amount + totals.sgst_amount + totals.igst_amount) * 100) / 100;
+    totals.place_of_supply = GST_STATES[gstStateCode(placeOfSupply)];
+    totals.interstate = interstate;
+    return totals;
+}
+
+// ============================================
+// PRODUCT MANAGEMENT
+// ============================================
+
+// Sort options accepted by GET /api/products
+const PRODUCT_SORTS = {
+    newest: 'created_at DESC, id DESC',
+    oldest: 'created_at ASC, id ASC',
+    price_asc: 'price ASC, id ASC',
+    price_desc: 'price DESC, id DESC',
+    name_asc: 'name ASC, id ASC',
+    name_desc: 'name DESC, id DESC',
+    stock_desc: 'stock_quantity DESC, id DESC'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// LIKE pattern matching a search term anywhere; wildcards are escaped so a search for "50%" matches literally
+function containsPattern(search) {
+    return `%${search.trim().replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Get all products
+// Query: category, min_price, max_price, in_stock, search, sort, page, limit
+app.get('/api/products', validate({
+    query: Joi.object({
+        category: fieldRules.text(50).allow(''),
+        min_price: fieldRules.amount.allow(''),
+        max_price: fieldRules.amount.allow(''),
+        in_stock: fieldRules.boolean.allow(''),
+        search: fieldRules.text(100).allow(''),
+        sort: Joi.string().valid(...Object.keys(PRODUCT_SORTS)),
+        page: fieldRules.page,
+        limit: fieldRules.limit
+    })
+}), async (req, res) => {
+    try {
+        const { category, min_price, max_price, in_stock, search, sort = 'newest' } = req.query;
+        const conditions = [];
+        const params = [];
+
+        if (category) {
+            conditions.push('category = ?');
+            params.push(category);
+        }
+
+        if (min_price !== undefined && min_price !== '') {
+            conditions.push('price >= ?');
+            params.push(min_price);
+        }
+
+        if (max_price !== undefined && max_price !== '') {
+            conditions.push('price <= ?');
+            params.push(max_price);
+        }
+
+        if (in_stock === true) {
+            conditions.push('stock_quantity > 0');
+        }
+
+        if (search && search.trim()) {
+            const term = containsPattern(search);
+            conditions.push('(name LIKE ? OR description LIKE ?)');
+            params.push(term, term);
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const offset = (page - 1) * limit;
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM products ${where}`, params);
+
+        // LIMIT/OFFSET are validated integers; inlined because prepared LIMIT placeholders are unreliable in MySQL 8
+        const [products] = await db.execute(
+            `SELECT * FROM products ${where} ORDER BY ${PRODUCT_SORTS[sort]} LIMIT ${limit} OFFSET ${offset}`,
+            params
+        );
+
+        res.json({
+            products: await attachProductDetails(products),
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Products error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get single product
+app.get('/api/products/:id', validate({
+    params: idParams,
+    query: Joi.object({ quantity: fieldRules.quantity, unit: fieldRules.text(20) })
+}), async (req, res) => {
+    try {
+        const [products] = await db.execute('SELECT * FROM products WHERE id = ?', [req.params.id]);
+        
+        if (products.length === 0) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const [product] = await attachProductDetails(products);
+
+        // ?quantity=N[&unit=U] shows the effective tier price for that quantity
+        const quantity = parseFloat(req.query.quantity);
+        if (quantity > 0) {
+            const alternates = product.units.slice(1);
+            product.pricing = priceProductLine(product, product.price_tiers, alternates, {
+                quantity: roundQuantity(quantity),
+                unit: req.query.unit
+            });
+        }
+
+        res.json({ product });
+    } catch (error) {
+        sendError(res, error, 'Product error');
+    }
+});
+
+// Read a boolean from JSON or multipart form fields ("true"/"1"/"on")
+function parseBoolean(value) {
+    return value === true || value === 1 || ['true', '1', 'on'].includes(String(value).toLowerCase());
+}
+
+// Multipart form values, so optional numbers may arrive as ''
+const productSchema = Joi.object({
+    name: fieldRules.text(100).min(1),
+    description: fieldRules.text(5000).allow('', null),
+    price: fieldRules.amount,
+    category: fieldRules.text(50).allow('', null),
+    stock_quantity: Joi.number().min(0).max(100000000).allow(''),
+    unit: fieldRules.text(20).min(1),
+    allow_decimal: fieldRules.boolean,
+    weight_kg: Joi.number().min(0).max(1000000).allow(''),
+    volume_m3: Joi.number().min(0).max(100000).allow(''),
+    hsn_code: Joi.string().trim().pattern(/^\d{4}(\d{2}){0,2}$/).allow('')
+        .messages({ 'string.pattern.base': '{#label} must be 4, 6 or 8 digits' }),
+    gst_rate: Joi.number().valid(...GST_RATES).allow(''),
+    image_url: fieldRules.text(255).allow('', null)
+});
+
+// Create product (admin/employee)
+app.post('/api/products', authenticateToken, authorizeRoles(...STAFF_ROLES), productImageUpload.single('image'), validate({
+    body: productSchema.fork(['name', 'price'], (field) => field.required())
+}), async (req, res) => {
+    let saved = false;
+    try {
+        const { name, description, price, category, stock_quantity, unit, allow_decimal, weight_kg, volume_m3,
+            hsn_code, gst_rate } = req.body;
+        const imageUrl = req.file ? `/uploads/products/${req.file.filename}` : (req.body.image_url || null);
+
+        const [result] = await db.execute(
+            `INSERT INTO products (name, description, price, category, unit, allow_decimal, stock_quantity, weight_kg, volume_m3,
+                                   hsn_code, gst_rate, image_url)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [name, description || null, price, category || null, unit || 'unit',
+                parseBoolean(allow_decimal), roundQuantity(Number(stock_quantity) || 0),
+                Number(weight_kg) || 0, Number(volume_m3) || 0, hsn_code || null,
+                gst_rate !== undefined && gst_rate !== '' ? Number(gst_rate) : 18, imageUrl]
+        );
+        saved = true;
+
+        const [products] = await db.execute('SELECT * FROM products WHERE id = ?', [result.insertId]);
+
+        res.status(201).json({
+            message: 'Product created successfully',
+            product: products[0]
+        });
+
+    } catch (error) {
+        if (!saved) await discardUpload(req);
+        console.error('Product creation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update product (admin/employee)
+app.put('/api/products/:id', authenticateToken, authorizeRoles(...STAFF_ROLES), productImageUpload.single('image'), validate({
+    params: idParams,
+    body: productSchema
+}), async (req, res) => {
+    let saved = false;
+    try {
+        const [existing] = await db.execute('SELECT * FROM products WHERE id = ?', [req.params.id]);
+
+        if (existing.length === 0) {
+            await discardUpload(req);
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const updates = {};
+        const { name, description, price, category, stock_quantity, unit, allow_decimal, weight_kg, volume_m3,
+            hsn_code, gst_rate, image_url } = req.body;
+        if (name !== undefined) updates.name = name;
+        if (description !== undefined) updates.description = description;
+        if (price !== undefined) updates.price = price;
+        if (category !== undefined) updates.category = category;
+        if (stock_quantity !== undefined && stock_quantity !== '') updates.stock_quantity = roundQuantity(Number(stock_quantity));
+        if (unit !== undefined) updates.unit = unit;
+        if (allow_decimal !== undefined) updates.allow_decimal = parseBoolean(allow_decimal);
+        if (weight_kg !== undefined && weight_kg !== '') updates.weight_kg = Number(weight_kg);
+        if (volume_m3 !== undefined && volume_m3 !== '') updates.volume_m3 = Number(volume_m3);
+        if (hsn_code !== undefined) updates.hsn_code = hsn_code || null;
+        if (gst_rate !== undefined && gst_rate !== '') updates.gst_rate = Number(gst_rate);
+        if (req.file) {
+            updates.image_url = `/uploads/products/${req.file.filename}`;
+        } else if (image_url !== undefined) {
+            updates.image_url = image_url || null;
+        }
+
+        const fields = Object.keys(updates);
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'No product fields to update' });
+        }
+
+        await db.execute(
+            `UPDATE products SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => updates[field]), req.params.id]
+        );
+        saved = true;
+
+        // Drop the old uploaded image once it has been replaced
+        if (updates.image_url !== undefined && updates.image_url !== existing[0].image_url) {
+            await removeProductImage(existing[0].image_url);
+        }
+
+        const [products] = await db.execute('SELECT * FROM products WHERE id = ?', [req.params.id]);
+
+        res.json({
+            message: 'Product updated successfully',
+            product: products[0]
+        });
+
+    } catch (error) {
+        if (!saved) await discardUpload(req);
+        console.error('Product update error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete product (admin/employee)
+app.delete('/api/products/:id', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({ params: idParams }), async (req, res) => {
+    try {
+        const [products] = await db.execute('SELECT image_url FROM products WHERE id = ?', [req.params.id]);
+
+        if (products.length === 0) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        await db.execute('DELETE FROM products WHERE id = ?', [req.params.id]);
+        await removeProductImage(products[0].image_url);
+
+        res.json({ message: 'Product deleted successfully' });
+
+    } catch (error) {
+        if (error.code === 'ER_ROW_IS_REFERENCED_2') {
+            return res.status(409).json({ error: 'Product has existing orders and cannot be deleted' });
+        }
+        console.error('Product deletion error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replace a product's bulk price tiers (admin/employee)
+// Body: { tiers: [{ min_quantity, unit_price }] }; an empty array removes all tiers
+app.put('/api/products/:id/price-tiers', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: Joi.object({
+        tiers: Joi.array().max(20).items(Joi.object({
+            min_quantity: Joi.number().integer().min(2).max(1000000).required(),
+            unit_price: fieldRules.amount.required()
+        })).required()
+    })
+}), async (req, res) => {
+    try {
+        const { tiers } = req.body;
+
+        const seen = new Set();
+        for (const tier of tiers) {
+            if (seen.has(tier.min_quantity)) {
+                return res.status(400).json({ error: `Duplicate tier for min_quantity ${tier.min_quantity}` });
+            }
+            seen.add(tier.min_quantity);
+        }
+
+        const product = await withTransaction(async (connection) => {
+            const [products] = await connection.execute('SELECT * FROM products WHERE id = ? FOR UPDATE', [req.params.id]);
+            if (products.length === 0) {
+                throw new ApiError(404, 'Product not found');
+            }
+
+            for (const tier of tiers) {
+                if (tier.unit_price >= Number(products[0].price)) {
+                    throw new ApiError(400, `Tier price for ${tier.min_quantity}+ must be lower than the base price`);
+                }
+            }
+
+            await connection.execute('DELETE FROM product_price_tiers WHERE product_id = ?', [products[0].id]);
+            for (const tier of tiers) {
+                await connection.execute(
+                    'INSERT INTO product_price_tiers (product_id, min_quantity, unit_price) VALUES (?, ?, ?)',
+                    [products[0].id, tier.min_quantity, tier.unit_price]
+                );
+            }
+
+            return products[0];
+        });
+
+        const [withTiers] = await attachProductDetails([product]);
+        res.json({ message: 'Price tiers updated successfully', product: withTiers });
+
+    } catch (error) {
+        sendError(res, error, 'Price tier update error');
+    }
+});
+
+// Replace a product's alternate sellable units (admin/employee)
+// Body: { units: [{ unit, conversion_factor }] } where conversion_factor is base units per unit
+app.put('/api/products/:id/units', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: Joi.object({
+        units: Joi.array().max(20).items(Joi.object({
+            unit: fieldRules.text(20).min(1).required(),
+            conversion_factor: Joi.number().positive().max(1000000).required()
+        })).required()
+    })
+}), async (req, res) => {
+    try {
+        const { units } = req.body;
+
+        const seen = new Set();
+        for (const entry of units) {
+            if (seen.has(entry.unit)) {
+                return res.status(400).json({ error: `Duplicate unit ${entry.unit}` });
+            }
+            seen.add(entry.unit);
+        }
+
+        const product = await withTransaction(async (connection) => {
+            const [products] = await connection.execute('SELECT * FROM products WHERE id = ? FOR UPDATE', [req.params.id]);
+            if (products.length === 0) {
+                throw new ApiError(404, 'Product not found');
+            }
+            if (seen.has(products[0].unit)) {
+                throw new ApiError(400, `${products[0].unit} is already the base unit`);
+            }
+
+            await connection.execute('DELETE FROM product_units WHERE product_id = ?', [products[0].id]);
+            for (const entry of units) {
+                await connection.execute(
+                    'INSERT INTO product_units (product_id, unit, conversion_factor) VALUES (?, ?, ?)',
+                    [products[0].id, entry.unit, entry.conversion_factor]
+                );
+            }
+
+            return products[0];
+        });
+
+        const [withUnits] = await attachProductDetails([product]);
+        res.json({ message: 'Product units updated successfully', product: withUnits });
+
+    } catch (error) {
+        sendError(res, error, 'Product unit update error');
+    }
+});
+
+// ============================================
+// ORDER MANAGEMENT
+// ============================================
+
+// Allowed order status transitions
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Status changes the customer is emailed about
+const ORDER_STATUS_EMAILS = {
+    shipped: 'order_shipped',
+    delivered: 'order_delivered'
+};
+
+// Append a row to an order's status timeline
+async function recordOrderStatus(connection, orderId, fromStatus, toStatus, userId, note) {
+    await connection.execute(
+        'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note) VALUES (?, ?, ?, ?, ?)',
+        [orderId, fromStatus, toStatus, userId, note || null]
+    );
+}
+
+// Move a locked order row to a new status, enforcing ORDER_STATUS_TRANSITIONS.
+// Cancelling returns the order's items to stock.
+async function transitionOrderStatus(connection, order, toStatus, userId, note) {
+    const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+
+    if (!allowed.includes(toStatus)) {
+        throw new ApiError(409, `Order cannot move from ${order.status} to ${toStatus}`, { allowed_statuses: allowed });
+    }
+
+    if (toStatus === 'cancelled') {
+        await releaseStock(connection, order.id);
+    }
+
+    await connection.execute('UPDATE orders SET status = ? WHERE id = ?', [toStatus, order.id]);
+    await recordOrderStatus(connection, order.id, order.status, toStatus, userId, note);
+
+    if (ORDER_STATUS_EMAILS[toStatus]) {
+        await queueOrderEmail(connection, order.id, ORDER_STATUS_EMAILS[toStatus], { note });
+    }
+
+    return { id: order.id, previous_status: order.status, status: toStatus };
+}
+
+// Merge order lines for the same product and unit; items are already validated by fieldRules.orderItems
+function normalizeOrderItems(items) {
+    const merged = new Map();
+    for (const item of items) {
+        const productId = Number(item.product_id);
+        const quantity = Number(item.quantity);
+        const unit = item.unit || null;
+        const key = `${productId}:${unit || ''}`;
+        const existing = merged.get(key);
+        merged.set(key, {
+            product_id: productId,
+            unit,
+            quantity: roundQuantity((existing ? existing.quantity : 0) + quantity)
+        });
+    }
+    // Lock rows in a stable order so concurrent orders cannot deadlock
+    return [...merged.values()].sort((a, b) => a.product_id - b.product_id);
+}
+
+// Lock the products for an order, convert and price each line at its bulk tier and take
+// the requested quantities out of stock. Throws a 409 ApiError listing every line that cannot be fulfilled.
+async function reserveStock(connection, items) {
+    const lines = [];
+    const unavailable = [];
+    const productIds = [...new Set(items.map(item => item.product_id))];
+    const tiers = await getPriceTiers(connection, productIds);
+    const units = await getProductUnits(connection, productIds);
+    // Base units already claimed by earlier lines for the same product (ordered in two units)
+    const reserved = new Map();
+
+    for (const item of items) {
+        const [products] = await connection.execute(
+            `SELECT id, name, price, unit, allow_decimal, stock_quantity, weight_kg, volume_m3, hsn_code, gst_rate
+             FROM products WHERE id = ? FOR UPDATE`,
+            [item.product_id]
+        );
+
+        if (products.length === 0) {
+            unavailable.push({ product_id: item.product_id, requested: item.quantity, available: 0, error: 'Product not found' });
+            continue;
+        }
+
+        const product = products[0];
+        const line = priceProductLine(product, tiers.get(product.id), units.get(product.id), item);
+        const available = roundQuantity(product.stock_quantity - (reserved.get(product.id) || 0));
+
+        if (available < line.base_quantity) {
+            unavailable.push({
+                product_id: product.id,
+                name: product.name,
+                unit: product.unit,
+                requested: line.base_quantity,
+                available,
+                error: `Only ${available} ${product.unit} in stock`
+            });
+            continue;
+        }
+
+        reserved.set(product.id, roundQuantity((reserved.get(product.id) || 0) + line.base_quantity));
+        lines.push(line);
+    }
+
+    if (unavailable.length > 0) {
+        throw new ApiError(409, 'Some items are not available in the requested quantity', { items: unavailable });
+    }
+
+    for (const line of lines) {
+        await connection.execute(
+            'UPDATE products SET stock_quantity = stock_quantity - ? WHERE id = ?',
+            [line.base_quantity, line.product_id]
+        );
+    }
+
+    return lines;
+}
+
+// Put an order's items back into stock (used when an order is cancelled)
+async function releaseStock(connection, orderId) {
+    const [items] = await connection.execute(
+        `SELECT product_id, COALESCE(base_quantity, quantity) AS base_quantity
+         FROM order_items WHERE order_id = ? ORDER BY product_id`,
+        [orderId]
+    );
+    for (const item of items) {
+        await connection.execute(
+            'UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?',
+            [item.base_quantity, item.product_id]
+        );
+    }
+}
+
+// Key for a priced line in placeOrder's price overrides
+function orderLineKey(productId, unit) {
+    return `${productId}:${unit}`;
+}
+
+// Reserve stock and write an order with its items inside an open transaction.
+// options.prices (Map of orderLineKey() -> price per unit) overrides catalog prices, e.g. for accepted quotes.
+// options.address_id copies a saved address onto the order; it takes precedence over shipping_address text.
+// options.shipping_state is the place of supply for GST (the saved address's state wins); one of them is required.
+// options.delivery ({ pincode, distance_km, date, slot_id }) books a site delivery and adds its fee.
+async function placeOrder(connection, userId, items, options = {}) {
+    const { payment_method, prices, note = 'Order placed' } = options;
+    let { shipping_address, delivery } = options;
+    let shippingDetails = null;
+    let placeOfSupply = options.shipping_state;
+
+    if (options.address_id) {
+        const address = await getUserAddress(connection, userId, options.address_id);
+        // An immutable copy, so later edits to the address book don't change the order
+        shippingDetails = {
+            address_id: address.id,
+            ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field]]))
+        };
+        shipping_address = formatAddress(address);
+        if (address.state) {
+            // Addresses saved before states were validated may hold free text
+            if (!gstStateCode(address.state)) {
+                throw new ApiError(400, `The saved address has an unrecognised state "${address.state}"; update the address and try again`);
+            }
+            placeOfSupply = address.state;
+        }
+        if (delivery && !delivery.pincode) {
+            delivery = { ...delivery, pincode: address.pincode };
+        }
+    }
+
+    // CGST/SGST or IGST depends on the destination state, so it is never assumed
+    if (!placeOfSupply) {
+        const message = options.address_id
+            ? 'shipping_state is required because the saved address has no state'
+            : 'shipping_state is required';
+        throw new ApiError(400, message, { fields: { shipping_state: message } });
+    }
+
+    // Prices are read once, under the row lock, so the total and the
+    // order_items rows always agree
+    const lines = await reserveStock(connection, normalizeOrderItems(items));
+    if (prices) {
+        for (const line of lines) {
+            const key = orderLineKey(line.product_id, line.unit);
+            if (prices.has(key)) {
+                line.price = prices.get(key);
+                line.tier_min_quantity = null;
+                line.discount_amount = Math.round((line.base_price - line.price) * line.quantity * 100) / 100;
+            }
+        }
+    }
+    const deliveryPlan = delivery ? await planDelivery(connection, lines, delivery) : null;
+    const deliveryFee = deliveryPlan ? deliveryPlan.delivery_fee : 0;
+    const tax = applyGst(lines, placeOfSupply);
+    const totalAmount = Math.round((tax.taxable_amount + tax.tax_amount + deliveryFee) * 100) / 100;
+
+    const [orderResult] = await connection.execute(
+        `INSERT INTO orders (user_id, total_amount, currency, taxable_amount, cgst_amount, sgst_amount, igst_amount,
+                             tax_amount, place_of_supply, delivery_fee, shipping_address, shipping_details, payment_method)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, totalAmount, CURRENCY, tax.taxable_amount, tax.cgst_amount, tax.sgst_amount, tax.igst_amount,
+            tax.tax_amount, tax.place_of_supply, deliveryFee, shipping_address || null,
+            shippingDetails ? JSON.stringify(shippingDetails) : null, payment_method || null]
+    );
+
+    for (const line of lines) {
+        // Name and price breakdown are snapshotted so later catalog edits don't change order history
+        await connection.execute(
+            `INSERT INTO order_items (order_id, product_id, product_name, quantity, unit, base_quantity,
+                                      price, base_price, tier_min_quantity, discount_amount,
+                                      hsn_code, gst_rate, taxable_value, cgst_amount, sgst_amount, igst_amount)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [orderResult.insertId, line.product_id, line.product_name, line.quantity, line.unit, line.base_quantity,
+                line.price, line.base_price, line.tier_min_quantity, line.discount_amount,
+                line.hsn_code, line.gst_rate, line.taxable_value, line.cgst_amount, line.sgst_amount, line.igst_amount]
+        );
+    }
+
+    if (deliveryPlan) {
+        await saveDelivery(connection, orderResult.insertId, deliveryPlan);
+    }
+
+    await recordOrderStatus(connection, orderResult.insertId, null, 'pending', userId, note);
+    await queueOrderEmail(connection, orderResult.insertId, 'order_placed');
+
+    return {
+        id: orderResult.insertId,
+        user_id: userId,
+        total_amount: totalAmount,
+        currency: CURRENCY,
+        tax,
+        delivery_fee: deliveryFee,
+        delivery: deliveryPlan,
+        status: 'pending',
+        payment_status: 'pending',
+        shipping_address,
+        shipping_details: shippingDetails,
+        payment_method
+    };
+}
+
+// Checkout fields shared by new orders and accepted quotes
+const checkoutFields = {
+    address_id: fieldRules.id,
+    shipping_address: fieldRules.text(500).allow('', null),
+    shipping_state: fieldRules.state.allow('', null),
+    payment_method: fieldRules.text(20).allow('', null),
+    delivery: fieldRules.delivery
+};
+
+// Create order
+app.post('/api/orders', authenticateToken, requireVerifiedEmail, validate({
+    body: Joi.object({ items: fieldRules.orderItems.required(), ...checkoutFields })
+}), idempotent, async (req, res) => {
+    try {
+        const { items, address_id, shipping_address, shipping_state, payment_method, delivery } = req.body;
+
+        const order = await withTransaction((connection) =>
+            placeOrder(connection, req.user.id, items, { address_id, shipping_address, shipping_state, payment_method, delivery })
+        );
+
+        res.status(201).json({
+            message: 'Order created successfully',
+            order
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Order creation error');
+    }
+});
+
+// Cancel own order and return its items to stock
+app.post('/api/orders/:id/cancel', authenticateToken, validate({
+    params: idParams,
+    body: Joi.object({ note: fieldRules.text(500).allow('', null) })
+}), async (req, res) => {
+    try {
+        const order = await withTransaction(async (connection) => {
+            const [orders] = await connection.execute(
+                'SELECT id, status FROM orders WHERE id = ? AND user_id = ? FOR UPDATE',
+                [req.params.id, req.user.id]
+            );
+
+            if (orders.length === 0) {
+                throw new ApiError(404, 'Order not found');
+            }
+
+            return await transitionOrderStatus(connection, orders[0], 'cancelled', req.user.id, req.body.note);
+        });
+
+        res.json({ message: 'Order cancelled successfully', order });
+
+    } catch (error) {
+        sendError(res, error, 'Order cancellation error');
+    }
+});
+
+// Get user orders
+app.get('/api/orders', authenticateToken, async (req, res) => {
+    try {
+        const [orders] = await db.execute(
+            'SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC',
+            [req.user.id]
+        );
+
+        res.json({ orders });
+    } catch (error) {
+        console.error('Orders error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a single order with its line items and payments (owner or staff)
+app.get('/api/orders/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    try {
+        const isStaff = STAFF_ROLES.includes(req.user.role);
+        const [orders] = await db.execute(
+            `SELECT * FROM orders WHERE id = ?${isStaff ? '' : ' AND user_id = ?'}`,
+            isStaff ? [req.params.id] : [req.params.id, req.user.id]
+        );
+
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        // Snapshot columns win; the live product row only fills gaps for older orders
+        const [items] = await db.execute(
+            `SELECT oi.id, oi.product_id, COALESCE(oi.product_name, p.name) AS product_name,
+                    oi.quantity, COALESCE(oi.unit, p.unit) AS unit, oi.base_quantity,
+                    oi.price, oi.base_price, oi.tier_min_quantity, oi.discount_amount,
+                    oi.hsn_code, oi.gst_rate, oi.taxable_value, oi.cgst_amount, oi.sgst_amount, oi.igst_amount,
+                    ROUND(oi.price * oi.quantity, 2) AS line_total,
+                    p.category, p.image_url
+             FROM order_items oi
+             LEFT JOIN products p ON p.id = oi.product_id
+             WHERE oi.order_id = ?
+             ORDER BY oi.id`,
+            [req.params.id]
+        );
+
+        const [payments] = await db.execute(
+            `SELECT id, amount, payment_method, transaction_id, status, created_at
+             FROM payments WHERE order_id = ? ORDER BY created_at, id`,
+            [req.params.id]
+        );
+
+        const [deliveries] = await db.execute(
+            `SELECT d.*, s.label AS slot_label, s.start_time, s.end_time, z.name AS zone_name
+             FROM order_deliveries d
+             LEFT JOIN delivery_slots s ON s.id = d.slot_id
+             LEFT JOIN delivery_zones z ON z.id = d.zone_id
+             WHERE d.order_id = ?`,
+            [req.params.id]
+        );
+
+        const [refunds] = await db.execute(
+            `SELECT id, payment_id, amount, status, reason, created_at
+             FROM refunds WHERE order_id = ? ORDER BY created_at, id`,
+            [req.params.id]
+        );
+
+        res.json({
+            order: {
+                ...orders[0],
+                items,
+                delivery: deliveries[0] || null,
+                payments,
+                refunds
+            }
+        });
+    } catch (error) {
+        console.error('Order detail error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Status timeline for an order (owner or staff)
+app.get('/api/orders/:id/history', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    try {
+        const isStaff = STAFF_ROLES.includes(req.user.role);
+        const [orders] = await db.execute(
+            `SELECT id, status FROM orders WHERE id = ?${isStaff ? '' : ' AND user_id = ?'}`,
+            isStaff ? [req.params.id] : [req.params.id, req.user.id]
+        );
+
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const [history] = await db.execute(
+            `SELECT h.from_status, h.to_status, h.note, h.created_at,
+                    u.username AS changed_by, u.role AS changed_by_role
+             FROM order_status_history h
+             LEFT JOIN users u ON u.id = h.changed_by
+             WHERE h.order_id = ?
+             ORDER BY h.created_at ASC, h.id ASC`,
+            [req.params.id]
+        );
+
+        res.json({
+            order_id: orders[0].id,
+            status: orders[0].status,
+            history
+        });
+    } catch (error) {
+        console.error('Order history error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List all orders for staff, optionally filtered by status
+app.get('/api/staff/orders', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    query: Joi.object({
+        status: Joi.string().valid(...Object.keys(ORDER_STATUS_TRANSITIONS)),
+        page: fieldRules.page,
+        limit: fieldRules.limit
+    })
+}), async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const where = status ? 'WHERE o.status = ?' : '';
+        const params = status ? [status] : [];
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM orders o ${where}`, params);
+        const [orders] = await db.execute(
+            `SELECT o.*, u.username, u.full_name, u.phone
+             FROM orders o
+             LEFT JOIN users u ON u.id = o.user_id
+             ${where}
+             ORDER BY o.created_at DESC, o.id DESC
+             LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+            params
+        );
+
+        res.json({
+            orders,
+            pagination: { page, limit, total, total_pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Staff orders error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Change order status (admin/employee)
+app.put('/api/orders/:id/status', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: Joi.object({
+        status: Joi.string().valid(...Object.keys(ORDER_STATUS_TRANSITIONS)).required(),
+        note: fieldRules.text(500).allow('', null)
+    })
+}), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        const order = await withTransaction(async (connection) => {
+            const [orders] = await connection.execute(
+                'SELECT id, status FROM orders WHERE id = ? FOR UPDATE',
+                [req.params.id]
+            );
+
+            if (orders.length === 0) {
+                throw new ApiError(404, 'Order not found');
+            }
+
+            return await transitionOrderStatus(connection, orders[0], status, req.user.id, note);
+        });
+
+        res.json({ message: `Order ${status}`, order });
+
+    } catch (error) {
+        sendError(res, error, 'Order status error');
+    }
+});
+
+// ============================================
+// DELIVERY
+// ============================================
+
+// Today's date as YYYY-MM-DD in server local time
+function todayString() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+// Find the zone for a site: an explicit pincode match wins over distance bands
+async function findDeliveryZone(executor, pincode, distanceKm) {
+    const [zones] = await executor.execute('SELECT * FROM delivery_zones WHERE active = TRUE ORDER BY id');
+
+    if (pincode) {
+        const zone = zones.find(candidate =>
+            (candidate.pincodes || '').split(',').map(code => code.trim()).includes(String(pincode).trim())
+        );
+        if (zone) return zone;
+    }
+
+    if (distanceKm !== undefined && distanceKm !== null && distanceKm !== '') {
+        const distance = Number(distanceKm);
+        const zone = zones.find(candidate =>
+            candidate.max_distance_km !== null &&
+            distance >= Number(candidate.min_distance_km || 0) &&
+            distance <= Number(candidate.max_distance_km)
+        );
+        if (zone) return zone;
+    }
+
+    return null;
+}
+
+// Delivery fee for a load: base fee, plus a charge per truck load and per tonne
+function calculateDeliveryFee(zone, weightKg, volumeM3) {
+    const trucksRequired = Math.max(
+        1,
+        Math.ceil(weightKg / Number(zone.truck_capacity_kg)),
+        Math.ceil(volumeM3 / Number(zone.truck_capacity_m3))
+    );
+    const fee = Number(zone.base_fee) +
+        trucksRequired * Number(zone.fee_per_truck) +
+        (weightKg / 1000) * Number(zone.fee_per_tonne);
+
+    return {
+        zone_id: zone.id,
+        zone_name: zone.name,
+        total_weight_kg: roundQuantity(weightKg),
+        total_volume_m3: Math.round(volumeM3 * 10000) / 10000,
+        trucks_required: trucksRequired,
+        delivery_fee: Math.round(fee * 100) / 100
+    };
+}
+
+// Validate a delivery booking for priced order lines, lock its slot and work out the fee
+async function planDelivery(connection, lines, delivery) {
+    const { pincode, distance_km, date, slot_id } = delivery;
+
+    if (date < todayString()) {
+        throw new ApiError(400, 'Delivery date cannot be in the past');
+    }
+
+    const zone = await findDeliveryZone(connection, pincode, distance_km);
+    if (!zone) {
+        throw new ApiError(400, 'We do not deliver to this location yet');
+    }
+
+    // Locking the slot row serialises bookings for it, so capacity cannot be oversold
+    const [slots] = await connection.execute(
+        'SELECT * FROM delivery_slots WHERE id = ? AND active = TRUE FOR UPDATE',
+        [slot_id]
+    );
+    if (slots.length === 0) {
+        throw new ApiError(400, 'Delivery slot not found');
+    }
+
+    const [[{ booked }]] = await connection.execute(
+        `SELECT COUNT(*) AS booked FROM order_deliveries d
+         JOIN orders o ON o.id = d.order_id
+         WHERE d.slot_id = ? AND d.delivery_date = ? AND o.status <> 'cancelled'`,
+        [slots[0].id, date]
+    );
+    if (booked >= slots[0].capacity) {
+        throw new ApiError(409, `The ${slots[0].label} slot on ${date} is fully booked`);
+    }
+
+    const weightKg = lines.reduce((sum, line) => sum + (line.weight_kg || 0), 0);
+    const volumeM3 = lines.reduce((sum, line) => sum + (line.volume_m3 || 0), 0);
+
+    return {
+        ...calculateDeliveryFee(zone, weightKg, volumeM3),
+        pincode: pincode || null,
+        distance_km: distance_km !== undefined && distance_km !== '' ? Number(distance_km) : null,
+        delivery_date: date,
+        slot_id: slots[0].id,
+        slot_label: slots[0].label
+    };
+}
+
+// Store a planned delivery against its order
+async function saveDelivery(connection, orderId, plan) {
+    await connection.execute(
+        `INSERT INTO order_deliveries (order_id, zone_id, pincode, distance_km, delivery_date, slot_id,
+                                       total_weight_kg, total_volume_m3, trucks_required, delivery_fee)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [orderId, plan.zone_id, plan.pincode, plan.distance_km, plan.delivery_date, plan.slot_id,
+            plan.total_weight_kg, plan.total_volume_m3, plan.trucks_required, plan.delivery_fee]
+    );
+}
+
+const ZONE_FIELDS = ['name', 'pincodes', 'min_distance_km', 'max_distance_km', 'base_fee', 'fee_per_tonne',
+    'fee_per_truck', 'truck_capacity_kg', 'truck_capacity_m3', 'active'];
+
+// A zone matches by pincode list or by distance band
+const zoneSchema = Joi.object({
+    name: fieldRules.text(100).min(1),
+    pincodes: Joi.alternatives().try(fieldRules.text(5000).allow(''), Joi.array().max(500).items(fieldRules.pincode)),
+    min_distance_km: Joi.number().min(0).max(10000).allow(null),
+    max_distance_km: Joi.number().min(0).max(10000).allow(null),
+    base_fee: fieldRules.amount,
+    fee_per_tonne: fieldRules.amount,
+    fee_per_truck: fieldRules.amount,
+    truck_capacity_kg: Joi.number().positive().max(1000000),
+    truck_capacity_m3: Joi.number().positive().max(10000),
+    active: fieldRules.boolean
+});
+
+// Column value for a zone field; pincodes may be sent as an array
+function zoneFieldValue(body, field) {
+    if (field === 'pincodes' && Array.isArray(body.pincodes)) {
+        return body.pincodes.map(code => String(code).trim()).join(',');
+    }
+    return body[field];
+}
+
+// List active delivery zones
+app.get('/api/delivery/zones', async (req, res) => {
+    try {
+        const [zones] = await db.execute('SELECT * FROM delivery_zones WHERE active = TRUE ORDER BY min_distance_km, id');
+        res.json({ zones });
+    } catch (error) {
+        console.error('Delivery zones error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create delivery zone (admin/employee)
+app.post('/api/delivery/zones', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    body: zoneSchema.fork(['name'], (field) => field.required())
+        .or('pincodes', 'max_distance_km')
+        .messages({ 'object.missing': 'A zone needs a pincode list or a distance band' })
+}), async (req, res) => {
+    try {
+        const fields = ZONE_FIELDS.filter(field => req.body[field] !== undefined);
+        const [result] = await db.execute(
+            `INSERT INTO delivery_zones (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+            fields.map(field => zoneFieldValue(req.body, field))
+        );
+        const [zones] = await db.execute('SELECT * FROM delivery_zones WHERE id = ?', [result.insertId]);
+
+        res.status(201).json({ message: 'Delivery zone created successfully', zone: zones[0] });
+    } catch (error) {
+        console.error('Delivery zone creation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update delivery zone (admin/employee); set active=false to retire it
+app.put('/api/delivery/zones/:id', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: zoneSchema
+}), async (req, res) => {
+    try {
+        const fields = ZONE_FIELDS.filter(field => req.body[field] !== undefined);
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'No zone fields to update' });
+        }
+
+        const [result] = await db.execute(
+            `UPDATE delivery_zones SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => zoneFieldValue(req.body, field)), req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Delivery zone not found' });
+        }
+        const [zones] = await db.execute('SELECT * FROM delivery_zones WHERE id = ?', [req.params.id]);
+
+        res.json({ message: 'Delivery zone updated successfully', zone: zones[0] });
+    } catch (error) {
+        console.error('Delivery zone update error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Estimate the delivery fee for a cart: { items, pincode, distance_km }
+app.post('/api/delivery/estimate', validate({
+    body: Joi.object({
+        items: fieldRules.orderItems.required(),
+        pincode: fieldRules.pincode,
+        distance_km: Joi.number().min(0).max(10000)
+    })
+}), async (req, res) => {
+    try {
+        const { items, pincode, distance_km } = req.body;
+
+        const zone = await findDeliveryZone(db, pincode, distance_km);
+        if (!zone) {
+            return res.status(404).json({ error: 'We do not deliver to this location yet' });
+        }
+
+        const lines = normalizeOrderItems(items);
+        const productIds = [...new Set(lines.map(line => line.product_id))];
+        const units = await getProductUnits(db, productIds);
+        let weightKg = 0;
+        let volumeM3 = 0;
+
+        for (const line of lines) {
+            const [products] = await db.execute(
+                'SELECT id, name, price, unit, allow_decimal, weight_kg, volume_m3 FROM products WHERE id = ?',
+                [line.product_id]
+            );
+            if (products.length === 0) {
+                return res.status(400).json({ error: `Product with ID ${line.product_id} not found` });
+            }
+            const priced = priceProductLine(products[0], [], units.get(line.product_id), line);
+            weightKg += priced.weight_kg;
+            volumeM3 += priced.volume_m3;
+        }
+
+        res.json({ estimate: calculateDeliveryFee(zone, weightKg, volumeM3) });
+    } catch (error) {
+        sendError(res, error, 'Delivery estimate error');
+    }
+});
+
+// Delivery slots with remaining capacity for a date (?date=YYYY-MM-DD, default today)
+app.get('/api/delivery/slots', validate({ query: Joi.object({ date: fieldRules.date }) }), async (req, res) => {
+    try {
+        const date = req.query.date || todayString();
+
+        const [slots] = await db.execute(
+            `SELECT s.id, s.label, s.start_time, s.end_time, s.capacity,
+                    COUNT(o.id) AS booked
+             FROM delivery_slots s
+             LEFT JOIN order_deliveries d ON d.slot_id = s.id AND d.delivery_date = ?
+             LEFT JOIN orders o ON o.id = d.order_id AND o.status <> 'cancelled'
+             WHERE s.active = TRUE
+             GROUP BY s.id
+             ORDER BY s.start_time`,
+            [date]
+        );
+
+        res.json({
+            date,
+            slots: slots.map(slot => ({
+                ...slot,
+                available: Math.max(slot.capacity - slot.booked, 0)
+            }))
+        });
+    } catch (error) {
+        console.error('Delivery slots error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create delivery slot (admin/employee)
+app.post('/api/delivery/slots', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    body: Joi.object({
+        label: fieldRules.text(50).min(1).required(),
+        start_time: fieldRules.time.required(),
+        end_time: fieldRules.time.required(),
+        capacity: Joi.number().integer().positive().max(1000)
+    })
+}), async (req, res) => {
+    try {
+        const { label, start_time, end_time, capacity = 5 } = req.body;
+
+        if (start_time >= end_time) {
+            return res.status(400).json({ error: 'start_time must be before end_time' });
+        }
+
+        const [result] = await db.execute(
+            'INSERT INTO delivery_slots (label, start_time, end_time, capacity) VALUES (?, ?, ?, ?)',
+            [label, start_time, end_time, capacity]
+        );
+
+        res.status(201).json({
+            message: 'Delivery slot created successfully',
+            slot: { id: result.insertId, label, start_time, end_time, capacity }
+        });
+    } catch (error) {
+        console.error('Delivery slot creation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update delivery slot capacity or retire it (admin/employee)
+app.put('/api/delivery/slots/:id', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: Joi.object({
+        label: fieldRules.text(50).min(1),
+        capacity: Joi.number().integer().positive().max(1000),
+        active: fieldRules.boolean
+    })
+}), async (req, res) => {
+    try {
+        const { label, capacity, active } = req.body;
+        const updates = {};
+        if (label !== undefined) updates.label = label;
+        if (capacity !== undefined) updates.capacity = capacity;
+        if (active !== undefined) updates.active = active;
+
+        const fields = Object.keys(updates);
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'No slot fields to update' });
+        }
+
+        const [result] = await db.execute(
+            `UPDATE delivery_slots SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => updates[field]), req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Delivery slot not found' });
+        }
+
+        res.json({ message: 'Delivery slot updated successfully' });
+    } catch (error) {
+        console.error('Delivery slot update error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List trucks (admin/employee)
+app.get('/api/delivery/trucks', authenticateToken, authorizeRoles(...STAFF_ROLES), async (req, res) => {
+    try {
+        const [trucks] = await db.execute('SELECT * FROM trucks ORDER BY active DESC, name');
+        res.json({ trucks });
+    } catch (error) {
+        console.error('Trucks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add a truck (admin/employee)
+app.post('/api/delivery/trucks', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    body: Joi.object({
+        name: fieldRules.text(50).min(1).required(),
+        registration_number: fieldRules.text(20).allow('', null),
+        capacity_kg: Joi.number().positive().max(1000000).required(),
+        capacity_m3: Joi.number().positive().max(10000).allow(null)
+    })
+}), async (req, res) => {
+    try {
+        const { name, registration_number, capacity_kg, capacity_m3 } = req.body;
+
+        const [result] = await db.execute(
+            'INSERT INTO trucks (name, registration_number, capacity_kg, capacity_m3) VALUES (?, ?, ?, ?)',
+            [name, registration_number || null, capacity_kg, capacity_m3 || null]
+        );
+
+        res.status(201).json({
+            message: 'Truck added successfully',
+            truck: { id: result.insertId, name, registration_number, capacity_kg, capacity_m3 }
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A truck with this registration number already exists' });
+        }
+        console.error('Truck creation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Assign a truck to an order's delivery (admin/employee); truck_id null unassigns
+app.put('/api/orders/:id/delivery/truck', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: Joi.object({ truck_id: fieldRules.id.allow(null).required() })
+}), async (req, res) => {
+    try {
+        const { truck_id } = req.body;
+
+        if (truck_id !== null && truck_id !== undefined) {
+            const [trucks] = await db.execute('SELECT id FROM trucks WHERE id = ? AND active = TRUE', [truck_id]);
+            if (trucks.length === 0) {
+                return res.status(400).json({ error: 'Truck not found' });
+            }
+        }
+
+        const [result] = await db.execute(
+            'UPDATE order_deliveries SET truck_id = ? WHERE order_id = ?',
+            [truck_id || null, req.params.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'No delivery booked for this order' });
+        }
+
+        res.json({ message: truck_id ? 'Truck assigned successfully' : 'Truck unassigned' });
+    } catch (error) {
+        console.error('Truck assignment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Dispatch schedule for a day, grouped by truck (?date=YYYY-MM-DD, default today)
+app.get('/api/delivery/schedule', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    query: Joi.object({ date: fieldRules.date })
+}), async (req, res) => {
+    try {
+        const date = req.query.date || todayString();
+
+        const [deliveries] = await db.execute(
+            `SELECT d.order_id, d.pincode, d.total_weight_kg, d.total_volume_m3, d.trucks_required, d.truck_id,
+                    s.label AS slot_label, s.start_time, s.end_time, z.name AS zone_name,
+                    o.status, o.shipping_address, u.full_name AS customer_name, u.phone AS customer_phone,
+                    t.name AS truck_name, t.registration_number, t.capacity_kg
+             FROM order_deliveries d
+             JOIN orders o ON o.id = d.order_id
+             LEFT JOIN users u ON u.id = o.user_id
+             LEFT JOIN delivery_slots s ON s.id = d.slot_id
+             LEFT JOIN delivery_zones z ON z.id = d.zone_id
+             LEFT JOIN trucks t ON t.id = d.truck_id
+             WHERE d.delivery_date = ? AND o.status <> 'cancelled'
+             ORDER BY s.start_time, d.order_id`,
+            [date]
+        );
+
+        const groups = new Map();
+        for (const delivery of deliveries) {
+            const key = delivery.truck_id || 'unassigned';
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    truck: delivery.truck_id
+                        ? {
+                            id: delivery.truck_id,
+                            name: delivery.truck_name,
+                            registration_number: delivery.registration_number,
+                            capacity_kg: delivery.capacity_kg
+                        }
+                        : null,
+                    total_weight_kg: 0,
+                    deliveries: []
+                });
+            }
+            const group = groups.get(key);
+            group.total_weight_kg = roundQuantity(group.total_weight_kg + Number(delivery.total_weight_kg));
+            group.deliveries.push({
+                order_id: delivery.order_id,
+                status: delivery.status,
+                slot: delivery.slot_label,
+                start_time: delivery.start_time,
+                end_time: delivery.end_time,
+                zone: delivery.zone_name,
+                pincode: delivery.pincode,
+                shipping_address: delivery.shipping_address,
+                customer_name: delivery.customer_name,
+                customer_phone: delivery.customer_phone,
+                total_weight_kg: delivery.total_weight_kg,
+                total_volume_m3: delivery.total_volume_m3,
+                trucks_required: delivery.trucks_required
+            });
+        }
+
+        res.json({ date, trucks: [...groups.values()] });
+    } catch (error) {
+        console.error('Dispatch schedule error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// QUOTES
+// ============================================
+
+// Load a quote with its items; customers can only see their own
+async function loadQuote(executor, quoteId, user, forUpdate = false) {
+    const isStaff = STAFF_ROLES.includes(user.role);
+    const [quotes] = await executor.execute(
+        `SELECT * FROM quotes WHERE id = ?${isStaff ? '' : ' AND user_id = ?'}${forUpdate ? ' FOR UPDATE' : ''}`,
+        isStaff ? [quoteId] : [quoteId, user.id]
+    );
+
+    if (quotes.length === 0) {
+        throw new ApiError(404, 'Quote not found');
+    }
+
+    const [items] = await executor.execute(
+        `SELECT id, product_id, product_name, quantity, unit, base_quantity, list_price, tier_min_quantity, quoted_price,
+                ROUND(quoted_price * quantity, 2) AS line_total
+         FROM quote_items WHERE quote_id = ? ORDER BY id`,
+        [quoteId]
+    );
+
+    const quote = quotes[0];
+    const expired = quote.status === 'quoted' && quote.expires_at && new Date(quote.expires_at) < new Date();
+    const total = quote.status === 'requested'
+        ? null
+        : Math.round(items.reduce((sum, item) => sum + Number(item.line_total), 0) * 100) / 100;
+
+    return { ...quote, expired: Boolean(expired), total_amount: total, items };
+}
+
+// Request a quote for a list of materials
+app.post('/api/quotes', authenticateToken, validate({
+    body: Joi.object({
+        items: fieldRules.orderItems.required(),
+        site_location: fieldRules.text(500).min(1).required(),
+        notes: fieldRules.text(2000).allow('', null)
+    })
+}), async (req, res) => {
+    try {
+        const { items, site_location, notes } = req.body;
+
+        const quote = await withTransaction(async (connection) => {
+            const lines = normalizeOrderItems(items);
+
+            const [quoteResult] = await connection.execute(
+                'INSERT INTO quotes (user_id, site_location, notes) VALUES (?, ?, ?)',
+                [req.user.id, site_location, notes || null]
+            );
+
+            const productIds = [...new Set(lines.map(line => line.product_id))];
+            const tiers = await getPriceTiers(connection, productIds);
+            const units = await getProductUnits(connection, productIds);
+            for (const line of lines) {
+                const [products] = await connection.execute(
+                    'SELECT id, name, price, unit, allow_decimal FROM products WHERE id = ?',
+                    [line.product_id]
+                );
+                if (products.length === 0) {
+                    throw new ApiError(400, `Product with ID ${line.product_id} not found`);
+                }
+                // Record the catalog tier price so staff can see what the customer would pay without a quote
+                const priced = priceProductLine(products[0], tiers.get(line.product_id), units.get(line.product_id), line);
+                await connection.execute(
+                    `INSERT INTO quote_items (quote_id, product_id, product_name, quantity, unit, base_quantity, list_price, tier_min_quantity)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [quoteResult.insertId, priced.product_id, priced.product_name, priced.quantity, priced.unit,
+                        priced.base_quantity, priced.price, priced.tier_min_quantity]
+                );
+            }
+
+            return await loadQuote(connection, quoteResult.insertId, req.user);
+        });
+
+        res.status(201).json({
+            message: 'Quote requested successfully',
+            quote
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Quote request error');
+    }
+});
+
+// List quotes: own quotes for customers, all quotes for staff (filter with ?status=)
+app.get('/api/quotes', authenticateToken, validate({
+    query: Joi.object({ status: Joi.string().valid('requested', 'quoted', 'accepted', 'declined', 'cancelled') })
+}), async (req, res) => {
+    try {
+        const isStaff = STAFF_ROLES.includes(req.user.role);
+        const conditions = [];
+        const params = [];
+
+        if (!isStaff) {
+            conditions.push('q.user_id = ?');
+            params.push(req.user.id);
+        }
+        if (req.query.status) {
+            conditions.push('q.status = ?');
+            params.push(req.query.status);
+        }
+
+        const [quotes] = await db.execute(
+            `SELECT q.*, u.username, u.full_name
+             FROM quotes q
+             LEFT JOIN users u ON u.id = q.user_id
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY q.created_at DESC, q.id DESC`,
+            params
+        );
+
+        res.json({ quotes });
+    } catch (error) {
+        console.error('Quotes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a single quote with its items
+app.get('/api/quotes/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    try {
+        const quote = await loadQuote(db, req.params.id, req.user);
+        res.json({ quote });
+    } catch (error) {
+        sendError(res, error, 'Quote error');
+    }
+});
+
+// Price a quote (admin/employee)
+// Body: { items: [{ id, price }], expires_at, staff_notes }
+app.put('/api/quotes/:id/respond', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: Joi.object({
+        items: Joi.array().max(100).items(Joi.object({
+            id: fieldRules.id.required(),
+            price: fieldRules.amount.allow(null)
+        })),
+        expires_at: Joi.date().iso().greater('now').required()
+            .messages({ 'date.greater': '{#label} must be in the future' }),
+        staff_notes: fieldRules.text(2000).allow('', null)
+    })
+}), async (req, res) => {
+    try {
+        const { items, expires_at: expiresAt, staff_notes } = req.body;
+
+        const quote = await withTransaction(async (connection) => {
+            const existing = await loadQuote(connection, req.params.id, req.user, true);
+
+            if (!['requested', 'quoted'].includes(existing.status)) {
+                throw new ApiError(409, `Quote cannot be priced once it is ${existing.status}`);
+            }
+
+            // Items without an explicit price are quoted at their catalog tier price
+            const prices = new Map((items || []).map(item => [item.id, item.price]));
+            for (const item of existing.items) {
+                const price = parseFloat(prices.has(item.id) ? prices.get(item.id) : item.list_price);
+                if (isNaN(price) || price < 0) {
+                    throw new ApiError(400, `A non-negative price is required for quote item ${item.id}`);
+                }
+                await connection.execute('UPDATE quote_items SET quoted_price = ? WHERE id = ?', [price, item.id]);
+            }
+
+            await connection.execute(
+                `UPDATE quotes SET status = 'quoted', staff_notes = ?, quoted_by = ?, quoted_at = NOW(), expires_at = ?
+                 WHERE id = ?`,
+                [staff_notes || null, req.user.id, expiresAt, existing.id]
+            );
+
+            return await loadQuote(connection, existing.id, req.user);
+        });
+
+        res.json({ message: 'Quote sent successfully', quote });
+
+    } catch (error) {
+        sendError(res, error, 'Quote response error');
+    }
+});
+
+// Accept a priced quote and turn it into an order at the quoted prices
+app.post('/api/quotes/:id/accept', authenticateToken, requireVerifiedEmail, validate({
+    params: idParams,
+    body: Joi.object(checkoutFields)
+}), async (req, res) => {
+    try {
+        const { address_id, shipping_address, shipping_state, payment_method, delivery } = req.body;
+
+        const result = await withTransaction(async (connection) => {
+            const quote = await loadQuote(connection, req.params.id, { id: req.user.id, role: 'customer' }, true);
+
+            if (quote.status !== 'quoted') {
+                throw new ApiError(409, quote.status === 'requested'
+                    ? 'Quote has not been priced yet'
+                    : `Quote is already ${quote.status}`);
+            }
+            if (quote.expired) {
+                throw new ApiError(409, 'Quote has expired, please request a new one');
+            }
+
+            const order = await placeOrder(connection, req.user.id, quote.items, {
+                address_id,
+                shipping_state,
+                shipping_address: shipping_address || quote.site_location,
+                payment_method,
+                delivery,
+                prices: new Map(quote.items.map(item => [orderLineKey(item.product_id, item.unit), Number(item.quoted_price)])),
+                note: `Order placed from quote #${quote.id}`
+            });
+
+            await connection.execute(
+                "UPDATE quotes SET status = 'accepted', order_id = ? WHERE id = ?",
+                [order.id, quote.id]
+            );
+
+            return { quote_id: quote.id, order };
+        });
+
+        res.status(201).json({
+            message: 'Quote accepted and order created',
+            ...result
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Quote acceptance error');
+    }
+});
+
+// Decline a quote (customer) or withdraw it (staff)
+app.post('/api/quotes/:id/decline', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    try {
+        const isStaff = STAFF_ROLES.includes(req.user.role);
+
+        await withTransaction(async (connection) => {
+            const quote = await loadQuote(connection, req.params.id, req.user, true);
+
+            if (!['requested', 'quoted'].includes(quote.status)) {
+                throw new ApiError(409, `Quote is already ${quote.status}`);
+            }
+
+            await connection.execute(
+                'UPDATE quotes SET status = ? WHERE id = ?',
+                [isStaff && quote.user_id !== req.user.id ? 'cancelled' : 'declined', quote.id]
+            );
+        });
+
+        res.json({ message: 'Quote closed successfully' });
+
+    } catch (error) {
+        sendError(res, error, 'Quote decline error');
+    }
+});
+
+// ============================================
+// PAYMENT GATEWAYS
+// ============================================
+// Handlers reach the gateways through app.locals.paymentGateways so tests can
+// swap in a local fake: app.locals.paymentGateways.stripe = { refund: async () => ({ ... }) }
+
+const PAYPAL_API_BASE = process.env.PAYPAL_API_BASE ||
+    (process.env.PAYPAL_MODE === 'live' ? 'https://api-m.paypal.com' : 'https://api-m.sandbox.paypal.com');
+
+// Call the PayPal REST API with a client-credentials access token. Errors PayPal answers
+// with carry its HTTP status; network errors and timeouts have none
+async function paypalRequest(method, apiPath, body, headers = {}) {
+    const credentials = Buffer.from(`${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`).toString('base64');
+    const tokenResponse = await fetch(`${PAYPAL_API_BASE}/v1/oauth2/token`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Basic ${credentials}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: 'grant_type=client_credentials'
+    });
+    if (!tokenResponse.ok) {
+        throw new Error(`PayPal authentication failed with status ${tokenResponse.status}`);
+    }
+    const { access_token } = await tokenResponse.json();
+
+    const response = await fetch(`${PAYPAL_API_BASE}${apiPath}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${access_token}`,
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        ...(body && { body: JSON.stringify(body) })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.message || `PayPal request failed with status ${response.status}`);
+        error.status = response.status;
+        error.details = data.details;
+        throw error;
+    }
+    return data;
+}
+
+// First capture on a PayPal order response, or null when it has none
+function paypalCaptureDetails(order) {
+    const unit = (order.purchase_units || [])[0] || {};
+    const capture = ((unit.payments || {}).captures || [])[0];
+    if (!capture) {
+        return null;
+    }
+    return {
+        id: capture.id,
+        status: capture.status,
+        reference: unit.reference_id || capture.custom_id,
+        amount: Number(capture.amount.value),
+        currency: capture.amount.currency_code
+    };
+}
+
+// Each gateway's refund(transactionId, amount, currency, refundId) returns { id, status } where
+// status is 'succeeded', 'pending' or 'failed'. 'failed' means the gateway declined the refund.
+// A timeout or connection error is thrown instead, since the refund may still have gone through.
+// refundId (our refunds row) is the gateway's idempotency key, so sending it again cannot refund twice.
+app.locals.paymentGateways = {
+    stripe: {
+        async refund(transactionId, amount, currency, refundId) {
+            let refund;
+            try {
+                refund = await stripe.refunds.create({
+                    ...(transactionId.startsWith('pi_') ? { payment_intent: transactionId } : { charge: transactionId }),
+                    amount: Math.round(amount * 100),
+                    metadata: { refund_id: String(refundId) }
+                }, { idempotencyKey: `refund-${refundId}` });
+            } catch (error) {
+                if (error.type === 'StripeCardError' || error.type === 'StripeInvalidRequestError') {
+                    return { id: null, status: 'failed' };
+                }
+                throw error;
+            }
+            return { id: refund.id, status: refund.status === 'succeeded' ? 'succeeded' : refund.status === 'failed' ? 'failed' : 'pending' };
+        }
+    },
+    paypal: {
+        // Returns the PayPal order id the buyer approves in the PayPal popup
+        async createOrder({ reference, amount, currency, description }) {
+            const order = await paypalRequest('POST', '/v2/checkout/orders', {
+                intent: 'CAPTURE',
+                purchase_units: [{
+                    reference_id: reference,
+                    custom_id: reference,
+                    description,
+                    amount: { currency_code: currency, value: amount.toFixed(2) }
+                }]
+            });
+            return { id: order.id, status: order.status };
+        },
+        // Captures an approved order; returns the capture id, status and the amount actually captured
+        async captureOrder(paypalOrderId) {
+            const capture = paypalCaptureDetails(await paypalRequest('POST', `/v2/checkout/orders/${paypalOrderId}/capture`));
+            if (!capture) {
+                throw new Error(`PayPal order ${paypalOrderId} returned no capture`);
+            }
+            return capture;
+        },
+        // The capture already made on an order (same shape as captureOrder), or null if none
+        async getCapture(paypalOrderId) {
+            return paypalCaptureDetails(await paypalRequest('GET', `/v2/checkout/orders/${paypalOrderId}`));
+        },
+        async refund(transactionId, amount, currency, refundId) {
+            let refund;
+            try {
+                refund = await paypalRequest('POST', `/v2/payments/captures/${transactionId}/refund`, {
+                    amount: { value: amount.toFixed(2), currency_code: currency }
+                }, { 'PayPal-Request-Id': `refund-${refundId}` });
+            } catch (error) {
+                // A 4xx answer is a decline; 408/429 and anything without a status are not
+                if (error.status >= 400 && error.status < 500 && ![408, 429].includes(error.status)) {
+                    return { id: null, status: 'failed' };
+                }
+                throw error;
+            }
+            return { id: refund.id, status: refund.status === 'COMPLETED' ? 'succeeded' : refund.status === 'FAILED' ? 'failed' : 'pending' };
+        }
+    }
+};
+
+// ============================================
+// PAYMENT PROCESSING
+// ============================================
+
+// Start a Stripe payment: creates (or reuses) a PaymentIntent for the order and returns
+// its client_secret for stripe.confirmCardPayment() in the browser. The order is only
+// marked paid when the signed webhook reports payment_intent.succeeded.
+const orderPaymentBody = Joi.object({ order_id: fieldRules.id.required() });
+
+app.post('/api/payments/stripe', authenticateToken, requireVerifiedEmail, validate({ body: orderPaymentBody }), idempotent, async (req, res) => {
+    try {
+        const { order_id } = req.body;
+
+        // Get order details
+        const [orders] = await db.execute(
+            'SELECT * FROM orders WHERE id = ? AND user_id = ?',
+            [order_id, req.user.id]
+        );
+
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const order = orders[0];
+        const amount = Math.round(order.total_amount * 100); // Convert to smallest currency unit
+
+        assertOrderPayable(order);
+
+        // Reuse an open PaymentIntent for this order rather than creating a second one
+        const [pending] = await db.execute(
+            `SELECT id, transaction_id FROM payments
+             WHERE order_id = ? AND payment_method = 'stripe' AND status = 'pending'
+             ORDER BY id DESC LIMIT 1`,
+            [order.id]
+        );
+
+        let paymentIntent = null;
+        if (pending.length > 0) {
+            const existing = await stripe.paymentIntents.retrieve(pending[0].transaction_id);
+            if (existing.amount === amount && !['succeeded', 'canceled'].includes(existing.status)) {
+                paymentIntent = existing;
+            }
+        }
+
+        if (!paymentIntent) {
+            paymentIntent = await stripe.paymentIntents.create({
+                amount,
+                currency: (order.currency || CURRENCY).toLowerCase(),
+                payment_method_types: ['card'],
+                description: `Payment for order #${order.id}`,
+                metadata: { order_id: String(order.id), user_id: String(req.user.id) }
+            });
+
+            await db.execute(
+                'INSERT INTO payments (order_id, amount, payment_method, transaction_id, status) VALUES (?, ?, ?, ?, ?)',
+                [order.id, order.total_amount, 'stripe', paymentIntent.id, 'pending']
+            );
+        }
+
+        res.json({
+            message: 'Payment started',
+            payment: {
+                id: paymentIntent.id,
+                client_secret: paymentIntent.client_secret,
+                amount: order.total_amount,
+                status: 'pending'
+            }
+        });
+
+    } catch (error) {
+        sendError(res, error, 'Payment error', 'Payment processing failed');
+    }
+});
+
+// Apply a PaymentIntent outcome to its payments row and order
+async function applyStripePaymentStatus(connection, paymentIntentId, paymentStatus, orderPaymentStatus) {
+    const [payments] = await connection.execute(
+        "SELECT * FROM payments WHERE transaction_id = ? AND payment_method = 'stripe' FOR UPDATE",
+        [paymentIntentId]
+    );
+    if (payments.length === 0) {
+        console.warn(`Stripe webhook for unknown PaymentIntent ${paymentIntentId}`);
+        return null;
+    }
+
+    await connection.execute('UPDATE payments SET status = ? WHERE id = ?', [paymentStatus, payments[0].id]);
+
+    // A new success for an order that was cancelled, or already paid another way (e.g. PayPal),
+    // leaves the order alone; the caller refunds the payment
+    if (orderPaymentStatus === 'paid' && ['pending', 'failed'].includes(payments[0].status)) {
+        const [orders] = await connection.execute('SELECT status, payment_status FROM orders WHERE id = ? FOR UPDATE', [payments[0].order_id]);
+        if (orders[0].status === 'cancelled' || !['pending', 'failed'].includes(orders[0].payment_status)) {
+            console.error(`Stripe payment ${paymentIntentId} succeeded for order ${payments[0].order_id}, which is no longer payable`);
+            return { ...payments[0], unpayable: true };
+        }
+    }
+
+    // A late failure for a superseded intent must not undo a successful payment
+    const guard = orderPaymentStatus === 'failed' ? " AND payment_status NOT IN ('paid', 'refunded', 'partially_refunded')" : '';
+    await connection.execute(
+        `UPDATE orders SET payment_status = ? WHERE id = ?${guard}`,
+        [orderPaymentStatus, payments[0].order_id]
+    );
+
+    return payments[0];
+}
+
+// Settle a refund that Stripe reported as pending (or never confirmed) once it succeeds or
+// fails; a failed refund stops counting against the payment and the order's statuses are recomputed
+async function applyStripeRefundStatus(connection, stripeRefund) {
+    const status = stripeRefund.status === 'succeeded' ? 'succeeded'
+        : ['failed', 'canceled'].includes(stripeRefund.status) ? 'failed' : null;
+
+    // A refund whose create call never got an answer has no gateway id yet; it is found by
+    // the refund_id metadata set when it was created
+    const refundId = Number((stripeRefund.metadata || {}).refund_id) || 0;
+    const [refunds] = await connection.execute(
+        `SELECT r.id, r.order_id, r.status, r.gateway_refund_id FROM refunds r JOIN payments p ON p.id = r.payment_id
+         WHERE p.payment_method = 'stripe' AND (r.gateway_refund_id = ? OR (r.gateway_refund_id IS NULL AND r.id = ?))`,
+        [stripeRefund.id, refundId]
+    );
+    if (refunds.length === 0) return;
+    const refund = refunds[0];
+    if ((!status || refund.status === status) && refund.gateway_refund_id === stripeRefund.id) return;
+
+    await connection.execute('SELECT id FROM orders WHERE id = ? FOR UPDATE', [refund.order_id]);
+    await connection.execute(
+        'UPDATE refunds SET status = ?, gateway_refund_id = ? WHERE id = ?',
+        [status || refund.status, stripeRefund.id, refund.id]
+    );
+    await applyRefundTotals(connection, refund.order_id);
+}
+
+// Stripe webhook: verifies the signature, then records payment success, failure, disputes
+// and the outcome of pending refunds
+app.post('/api/webhooks/stripe', async (req, res) => {
+    let event;
+    try {
+        event = stripe.webhooks.constructEvent(
+            req.rawBody,
+            req.headers['stripe-signature'],
+            process.env.STRIPE_WEBHOOK_SECRET
+        );
+    } catch (error) {
+        console.warn('Stripe webhook signature verification failed:', error.message);
+        return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    try {
+        // Payments that succeeded for orders that can no longer take them
+        const toRefund = [];
+
+        await withTransaction(async (connection) => {
+            // Stripe retries deliveries; each event is applied once
+            const [inserted] = await connection.execute(
+                'INSERT IGNORE INTO stripe_events (id, type) VALUES (?, ?)',
+                [event.id, event.type]
+            );
+            if (inserted.affectedRows === 0) {
+                return;
+            }
+
+            const object = event.data.object;
+            switch (event.type) {
+                case 'payment_intent.succeeded': {
+                    const payment = await applyStripePaymentStatus(connection, object.id, 'completed', 'paid');
+                    if (payment && payment.unpayable) {
+                        toRefund.push(payment);
+                    } else if (payment) {
+                        await queueOrderEmail(connection, payment.order_id, 'payment_received', {
+                            amount: payment.amount,
+                            method: 'Card',
+                            reference: object.id
+                        });
+                    }
+                    break;
+                }
+                case 'payment_intent.payment_failed':
+                case 'payment_intent.canceled':
+                    await applyStripePaymentStatus(connection, object.id, 'failed', 'failed');
+                    break;
+                case 'charge.dispute.created':
+                    await applyStripePaymentStatus(connection, object.payment_intent, 'disputed', 'disputed');
+                    break;
+                case 'charge.dispute.closed':
+                    if (object.status === 'won') {
+                        await applyStripePaymentStatus(connection, object.payment_intent, 'completed', 'paid');
+                    }
+                    break;
+                case 'refund.created':
+                case 'charge.refund.updated':
+                case 'refund.updated':
+                    await applyStripeRefundStatus(connection, object);
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        // Refunds call Stripe, so they run after the event is committed; a failure is left to staff
+        for (const payment of toRefund) {
+            await issueRefund(req.app.locals.paymentGateways, {
+                orderId: payment.order_id,
+                paymentId: payment.id,
+                reason: 'Payment arrived after the order was cancelled or already paid'
+            }).catch(error => console.error(`Refund of Stripe payment ${payment.transaction_id} failed; refund it from the staff refunds endpoint:`, error));
+        }
+
+        res.json({ received: true });
+    } catch (error) {
+        // A 500 makes Stripe retry the delivery later
+        console.error('Stripe webhook error:', error);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+});
+
+// Create a PayPal order on the backend for the order's total; the browser only approves it
+app.post('/api/payments/paypal/create', authenticateToken, requireVerifiedEmail, validate({ body: orderPaymentBody }), idempotent, async (req, res) => {
+    try {
+        const { order_id } = req.body;
+
+        const [orders] = await db.execute(
+            'SELECT * FROM orders WHERE id = ? AND user_id = ?',
+            [order_id, req.user.id]
+        );
+
+        if (orders.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const order = orders[0];
+        assertOrderPayable(order);
+
+        const paypalOrder = await req.app.locals.paymentGateways.paypal.createOrder({
+            reference: String(order.id),
+            amount: Number(order.total_amount),
+            currency: order.currency || CURRENCY,
+            description: `Payment for order #${order.id}`
+        });
+
+        await db.execute(
+            'INSERT INTO payments (order_id, amount, payment_method, gateway_order_id, status) VALUES (?, ?, ?, ?, ?)',
+            [order.id, order.total_amount, 'paypal', paypalOrder.id, 'pending']
+        );
+
+        res.status(201).json({
+            message: 'PayPal order created',
+            paypal_order_id: paypalOrder.id
+        });
+
+    } catch (error) {
+        sendError(res, error, 'PayPal order error', 'Payment processing failed');
+    }
+});
+
+// Capture an approved PayPal order and verify the captured amount before marking the order paid.
+// The capture happens outside any transaction: once PayPal has taken the money it is always
+// recorded, and a capture that does not match the order (or an order that stopped being payable
+// meanwhile) is refunded straight away. A retry after an interrupted request finds the existing
+// capture at PayPal and records it instead of failing.
+app.post('/api/payments/paypal', authenticateToken, requireVerifiedEmail, validate({
+    body: Joi.object({
+        order_id: fieldRules.id.required(),
+        paypal_order_id: fieldRules.text(50),
+        payment_id: fieldRules.text(50)
+    }).or('paypal_order_id', 'payment_id')
+}), idempotent, async (req, res) => {
+    try {
+        const { order_id } = req.body;
+        const paypalOrderId = req.body.paypal_order_id || req.body.payment_id;
+        const gateways = req.app.locals.paymentGateways;
+
+        // Only PayPal orders this server created for this order can be captured, and only once
+        const loadPayment = async (connection) => {
+            const [orders] = await connection.execute(
+                'SELECT * FROM orders WHERE id = ? AND user_id = ? FOR UPDATE',
+                [order_id, req.user.id]
+            );
+            if (orders.length === 0) {
+                throw new ApiError(404, 'Order not found');
+            }
+
+            const [payments] = await connection.execute(
+                "SELECT * FROM payments WHERE payment_method = 'paypal' AND gateway_order_id = ? FOR UPDATE",
+                [paypalOrderId]
+            );
+            if (payments.length === 0 || payments[0].order_id !== orders[0].id) {
+                throw new ApiError(400, 'Unknown PayPal order for this order');
+            }
+            if (payments[0].status !== 'pending') {
+                throw new ApiError(409, 'This PayPal payment has already been used');
+            }
+            return { order: orders[0], payment: payments[0] };
+        };
+
+        await withTransaction(async (connection) => {
+            const { order } = await loadPayment(connection);
+            assertOrderPayable(order);
+        });
+
+        let capture;
+        try {
+            capture = await gateways.paypal.captureOrder(paypalOrderId);
+        } catch (gatewayError) {
+            // Already captured by an earlier attempt that did not get to record it
+            capture = await gateways.paypal.getCapture(paypalOrderId).catch(() => null);
+            if (!capture || capture.status !== 'COMPLETED') {
+                console.error('PayPal capture error:', gatewayError);
+                throw new ApiError(502, 'PayPal could not capture this payment');
+            }
+        }
+
+        const outcome = await withTransaction(async (connection) => {
+            const { order, payment } = await loadPayment(connection);
+
+            const amountMatches = Math.abs(capture.amount - Number(order.total_amount)) < 0.005;
+            const verified = capture.status === 'COMPLETED' && amountMatches && capture.currency === (order.currency || CURRENCY) &&
+                capture.reference === String(order.id);
+            const payable = order.status !== 'cancelled' && ['pending', 'failed'].includes(order.payment_status);
+
+            if (capture.status !== 'COMPLETED') {
+                await connection.execute(
+                    "UPDATE payments SET transaction_id = ?, amount = ?, status = 'failed' WHERE id = ?",
+                    [capture.id, capture.amount, payment.id]
+                );
+                return { ok: false, status: 400, error: 'PayPal did not complete this payment' };
+            }
+
+            // The money has been taken either way, so the payment is recorded as captured
+            await connection.execute(
+                "UPDATE payments SET transaction_id = ?, amount = ?, status = 'completed' WHERE id = ?",
+                [capture.id, capture.amount, payment.id]
+            );
+
+            if (!verified || !payable) {
+                console.error('PayPal capture rejected:', { order_id: order.id, expected: order.total_amount, capture, payable });
+                return verified
+                    ? { ok: false, refund: payment.id, status: 409, error: 'Order can no longer be paid; the PayPal payment is being refunded' }
+                    : { ok: false, refund: payment.id, status: 400, error: 'PayPal payment did not match the order total and is being refunded' };
+            }
+
+            await connection.execute(
+                'UPDATE orders SET payment_status = ? WHERE id = ?',
+                ['paid', order.id]
+            );
+            await queueOrderEmail(connection, order.id, 'payment_received', {
+                amount: capture.amount,
+                method: 'PayPal',
+                reference: capture.id
+            });
+
+            return { ok: true };
+        });
+
+        if (!outcome.ok) {
+            if (outcome.refund) {
+                await issueRefund(gateways, {
+                    orderId: order_id,
+                    paymentId: outcome.refund,
+                    reason: 'PayPal capture was not accepted for this order'
+                }).catch(error => console.error('PayPal capture refund failed; refund it from the staff refunds endpoint:', error));
+            }
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        res.json({
+            message: 'Payment processed successfully',
+            payment: {
+                id: capture.id,
+                amount: capture.amount,
+                status: 'completed'
+            }
+        });
 
-        res.json({ orders });
     } catch (error) {
-        console.error('Orders error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendError(res, error, 'Payment error', 'Payment processing failed');
     }
 });
 
-// ============================================
-// PAYMENT PROCESSING
-// ============================================
+// Amount already refunded (or still being refunded) against each of an order's payments
+async function getRefundedAmounts(executor, orderId) {
+    const [rows] = await executor.execute(
+        `SELECT payment_id, SUM(amount) AS refunded FROM refunds
+         WHERE order_id = ? AND status <> 'failed'
+         GROUP BY payment_id`,
+        [orderId]
+    );
+    return new Map(rows.map(row => [row.payment_id, Number(row.refunded)]));
+}
 
-// Process payment with Stripe
-app.post('/api/payments/stripe', authenticateToken, async (req, res) => {
-    try {
-        const { order_id, token } = req.body;
+// Roll an order's refunds up into its payment and order statuses. Pending refunds count
+// until the gateway reports them failed. Orders that were never paid (e.g. a rejected
+// capture that was refunded) keep their payment status
+async function applyRefundTotals(connection, orderId) {
+    const refunded = await getRefundedAmounts(connection, orderId);
+    const [payments] = await connection.execute(
+        `SELECT id, amount, status FROM payments
+         WHERE order_id = ? AND status IN ('completed', 'partially_refunded', 'refunded')`,
+        [orderId]
+    );
 
-        if (!order_id || !token) {
-            return res.status(400).json({ error: 'Order ID and payment token are required' });
+    let captured = 0;
+    let totalRefunded = 0;
+    for (const payment of payments) {
+        const amount = Number(payment.amount);
+        const paymentRefunded = refunded.get(payment.id) || 0;
+        const status = paymentRefunded <= 0 ? 'completed'
+            : paymentRefunded >= amount - 0.005 ? 'refunded' : 'partially_refunded';
+        if (status !== payment.status) {
+            await connection.execute('UPDATE payments SET status = ? WHERE id = ?', [status, payment.id]);
         }
+        captured += amount;
+        totalRefunded += paymentRefunded;
+    }
 
-        // Get order details
-        const [orders] = await db.execute(
-            'SELECT * FROM orders WHERE id = ? AND user_id = ?',
-            [order_id, req.user.id]
-        );
+    // Refunding a duplicate payment leaves an order that still holds its full total paid
+    const [[order]] = await connection.execute('SELECT total_amount FROM orders WHERE id = ?', [orderId]);
+    const held = captured - totalRefunded;
+    const orderPaymentStatus = totalRefunded <= 0 || held >= Number(order.total_amount) - 0.005 ? 'paid'
+        : held <= 0.005 ? 'refunded' : 'partially_refunded';
+    await connection.execute(
+        `UPDATE orders SET payment_status = ?
+         WHERE id = ? AND payment_status IN ('paid', 'partially_refunded', 'refunded')`,
+        [orderPaymentStatus, orderId]
+    );
+    return orderPaymentStatus;
+}
 
+// Refund all or part of a captured payment: { orderId, paymentId, amount, reason, createdBy }.
+// amount defaults to everything still refundable, paymentId to the order's most recent
+// captured payment. The refund row is written as pending before the gateway is called, so a
+// refund that went through is never lost to a rollback and counts against what is still
+// refundable while it is in flight. If the gateway never answered, the row stays pending
+// without a gateway id; refunding the payment again re-sends that same refund under the
+// same idempotency key instead of starting a new one
+async function issueRefund(gateways, { orderId, paymentId, amount, reason, createdBy }) {
+    const pending = await withTransaction(async (connection) => {
+        const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
         if (orders.length === 0) {
-            return res.status(404).json({ error: 'Order not found' });
+            throw new ApiError(404, 'Order not found');
         }
 
-        const order = orders[0];
+        const [payments] = await connection.execute(
+            `SELECT * FROM payments
+             WHERE order_id = ? AND status IN ('completed', 'partially_refunded')
+             ORDER BY created_at DESC, id DESC`,
+            [orderId]
+        );
+        const payment = paymentId
+            ? payments.find(candidate => candidate.id === Number(paymentId))
+            : payments[0];
+        if (!payment) {
+            throw new ApiError(409, 'No captured payment available to refund for this order');
+        }
 
-        // Create Stripe charge
-        const charge = await stripe.charges.create({
-            amount: Math.round(order.total_amount * 100), // Convert to cents
-            currency: 'usd',
-            source: token,
-            description: `Payment for order #${order.id}`,
-        });
+        const refunded = await getRefundedAmounts(connection, orderId);
+        const refundable = Math.round((Number(payment.amount) - (refunded.get(payment.id) || 0)) * 100) / 100;
+        if (!gateways[payment.payment_method]) {
+            throw new ApiError(400, `Refunds are not supported for ${payment.payment_method} payments`);
+        }
 
-        // Update order payment status
-        await db.execute(
-            'UPDATE orders SET payment_status = ? WHERE id = ?',
-            ['paid', order_id]
+        const [unconfirmed] = await connection.execute(
+            `SELECT id, amount FROM refunds
+             WHERE payment_id = ? AND status = 'pending' AND gateway_refund_id IS NULL
+             ORDER BY id LIMIT 1`,
+            [payment.id]
         );
+        if (unconfirmed.length > 0) {
+            const unconfirmedAmount = Number(unconfirmed[0].amount);
+            if (amount !== undefined && Math.abs(Number(amount) - unconfirmedAmount) >= 0.005) {
+                throw new ApiError(409, `A refund of ${unconfirmedAmount.toFixed(2)} on this payment is still unconfirmed; retry that amount first`, {
+                    unconfirmed_refund_id: unconfirmed[0].id
+                });
+            }
+            return {
+                id: unconfirmed[0].id,
+                order: orders[0],
+                payment,
+                amount: unconfirmedAmount,
+                refundable: Math.round((refundable + unconfirmedAmount) * 100) / 100
+            };
+        }
 
-        // Record payment
-        await db.execute(
-            'INSERT INTO payments (order_id, amount, payment_method, transaction_id, status) VALUES (?, ?, ?, ?, ?)',
-            [order_id, order.total_amount, 'stripe', charge.id, 'completed']
+        const refundAmount = amount !== undefined ? Math.round(Number(amount) * 100) / 100 : refundable;
+
+        if (refundAmount <= 0 || refundAmount > refundable) {
+            throw new ApiError(400, `Refund amount cannot exceed the ${refundable.toFixed(2)} still refundable on this payment`, {
+                refundable
+            });
+        }
+
+        const [inserted] = await connection.execute(
+            `INSERT INTO refunds (payment_id, order_id, amount, status, reason, created_by)
+             VALUES (?, ?, ?, 'pending', ?, ?)`,
+            [payment.id, orderId, refundAmount, reason || null, createdBy || null]
         );
+        return { id: inserted.insertId, order: orders[0], payment, amount: refundAmount, refundable };
+    });
 
-        res.json({
-            message: 'Payment processed successfully',
-            payment: {
-                id: charge.id,
-                amount: order.total_amount,
-                status: 'completed'
-            }
+    let gatewayRefund;
+    try {
+        gatewayRefund = await gateways[pending.payment.payment_method].refund(
+            pending.payment.transaction_id, pending.amount, pending.order.currency || CURRENCY, pending.id
+        );
+    } catch (gatewayError) {
+        // The refund may have gone through, so it keeps counting against the payment
+        console.error('Refund gateway error:', gatewayError);
+        throw new ApiError(502, 'The payment gateway did not confirm the refund. It is kept as pending; send it again to retry safely', {
+            refund_id: pending.id
+        });
+    }
+
+    if (gatewayRefund.status === 'failed') {
+        await db.execute("UPDATE refunds SET status = 'failed', gateway_refund_id = ? WHERE id = ?", [gatewayRefund.id, pending.id]);
+        throw new ApiError(502, 'Refund was rejected by the payment gateway');
+    }
+
+    return await withTransaction(async (connection) => {
+        await connection.execute('SELECT id FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+        await connection.execute(
+            'UPDATE refunds SET gateway_refund_id = ?, status = ? WHERE id = ?',
+            [gatewayRefund.id, gatewayRefund.status, pending.id]
+        );
+        const orderPaymentStatus = await applyRefundTotals(connection, orderId);
+        await queueOrderEmail(connection, orderId, 'refund_issued', {
+            amount: pending.amount,
+            method: pending.payment.payment_method === 'paypal' ? 'PayPal' : 'Card',
+            full: orderPaymentStatus === 'refunded'
+        });
+
+        return {
+            refund: {
+                id: pending.id,
+                payment_id: pending.payment.id,
+                amount: pending.amount,
+                gateway_refund_id: gatewayRefund.id,
+                status: gatewayRefund.status,
+                reason: reason || null
+            },
+            payment_status: orderPaymentStatus,
+            refundable_remaining: Math.round((pending.refundable - pending.amount) * 100) / 100
+        };
+    });
+}
+
+// Refund all or part of an order's captured payment (admin/employee)
+// Body: { amount, reason, payment_id } - amount defaults to everything still refundable,
+// payment_id defaults to the order's most recent captured payment
+app.post('/api/orders/:id/refunds', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: Joi.object({
+        amount: Joi.number().positive().max(100000000),
+        reason: fieldRules.text(500).allow('', null),
+        payment_id: fieldRules.id
+    })
+}), idempotent, async (req, res) => {
+    try {
+        const result = await issueRefund(req.app.locals.paymentGateways, {
+            orderId: req.params.id,
+            paymentId: req.body.payment_id,
+            amount: req.body.amount,
+            reason: req.body.reason,
+            createdBy: req.user.id
         });
 
+        res.status(201).json({ message: 'Refund processed successfully', ...result });
+
     } catch (error) {
-        console.error('Payment error:', error);
-        res.status(500).json({ error: 'Payment processing failed' });
+        sendError(res, error, 'Refund error');
     }
 });
 
-// Process payment with PayPal
-app.post('/api/payments/paypal', authenticateToken, async (req, res) => {
+// List refunds for an order (owner or staff)
+app.get('/api/orders/:id/refunds', authenticateToken, validate({ params: idParams }), async (req, res) => {
     try {
-        const { order_id, payment_id } = req.body;
-
-        if (!order_id || !payment_id) {
-            return res.status(400).json({ error: 'Order ID and payment ID are required' });
-        }
-
-        // Get order details
+        const isStaff = STAFF_ROLES.includes(req.user.role);
         const [orders] = await db.execute(
-            'SELECT * FROM orders WHERE id = ? AND user_id = ?',
-            [order_id, req.user.id]
+            `SELECT id FROM orders WHERE id = ?${isStaff ? '' : ' AND user_id = ?'}`,
+            isStaff ? [req.params.id] : [req.params.id, req.user.id]
         );
-
         if (orders.length === 0) {
             return res.status(404).json({ error: 'Order not found' });
         }
 
-        const order = orders[0];
+        const [refunds] = await db.execute(
+            `SELECT id, payment_id, amount, status, reason, created_at FROM refunds
+             WHERE order_id = ? ORDER BY created_at, id`,
+            [req.params.id]
+        );
+        res.json({ refunds });
+    } catch (error) {
+        console.error('Refunds error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Here you would integrate with PayPal API
-        // For now, we'll simulate a successful payment
+// ============================================
+// INVOICES
+// ============================================
 
-        // Update order payment status
-        await db.execute(
-            'UPDATE orders SET payment_status = ? WHERE id = ?',
-            ['paid', order_id]
+// Seller details printed on every invoice
+const BUSINESS_DETAILS = {
+    name: process.env.BUSINESS_NAME || 'Mani Construction Materials',
+    address: process.env.BUSINESS_ADDRESS || 'Ambur, Tamil Nadu',
+    gstin: process.env.BUSINESS_GSTIN || '',
+    phone: process.env.BUSINESS_PHONE || '9585774780',
+    email: process.env.BUSINESS_EMAIL || 'support@maniconstruction.com',
+    state: BUSINESS_STATE
+};
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'MC';
+
+// Indian financial year (April-March) for a date, e.g. "2026-27"
+function financialYear(date) {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatAmount(amount) {
+    return Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Return the order's invoice, issuing the next sequential number on first request.
+// Regenerating an invoice reuses its number; the per-year sequence never goes back.
+async function issueInvoice(connection, order) {
+    const [existing] = await connection.execute('SELECT * FROM invoices WHERE order_id = ?', [order.id]);
+    if (existing.length > 0) {
+        await connection.execute('UPDATE invoices SET last_generated_at = NOW() WHERE id = ?', [existing[0].id]);
+        return existing[0];
+    }
+
+    const year = financialYear(new Date());
+    await connection.execute('INSERT IGNORE INTO invoice_sequences (financial_year, last_number) VALUES (?, 0)', [year]);
+    const [[sequence]] = await connection.execute(
+        'SELECT last_number FROM invoice_sequences WHERE financial_year = ? FOR UPDATE',
+        [year]
+    );
+    const number = sequence.last_number + 1;
+    await connection.execute('UPDATE invoice_sequences SET last_number = ? WHERE financial_year = ?', [number, year]);
+
+    const [users] = await connection.execute('SELECT username, full_name, gstin, address FROM users WHERE id = ?', [order.user_id]);
+    const buyer = users[0] || {};
+    const invoiceNumber = `${INVOICE_PREFIX}/${year}/${String(number).padStart(6, '0')}`;
+
+    await connection.execute(
+        `INSERT INTO invoices (order_id, invoice_number, financial_year, sequence_number, buyer_name, buyer_gstin, buyer_address, last_generated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [order.id, invoiceNumber, year, number, buyer.full_name || buyer.username || null, buyer.gstin || null,
+            order.shipping_address || buyer.address || null]
+    );
+
+    const [invoices] = await connection.execute('SELECT * FROM invoices WHERE order_id = ?', [order.id]);
+    return invoices[0];
+}
+
+// Gather everything printed on an order's invoice
+async function loadInvoiceData(orderId, user) {
+    return await withTransaction(async (connection) => {
+        const isStaff = STAFF_ROLES.includes(user.role);
+        const [orders] = await connection.execute(
+            `SELECT * FROM orders WHERE id = ?${isStaff ? '' : ' AND user_id = ?'} FOR UPDATE`,
+            isStaff ? [orderId] : [orderId, user.id]
         );
+        if (orders.length === 0) {
+            throw new ApiError(404, 'Order not found');
+        }
 
-        // Record payment
-        await db.execute(
-            'INSERT INTO payments (order_id, amount, payment_method, transaction_id, status) VALUES (?, ?, ?, ?, ?)',
-            [order_id, order.total_amount, 'paypal', payment_id, 'completed']
+        const order = orders[0];
+        if (!['paid', 'partially_refunded', 'refunded'].includes(order.payment_status)) {
+            throw new ApiError(409, 'An invoice is only available once the order is paid');
+        }
+
+        const invoice = await issueInvoice(connection, order);
+        const [items] = await connection.execute(
+            `SELECT product_name, hsn_code, quantity, unit, price, discount_amount, gst_rate,
+                    taxable_value, cgst_amount, sgst_amount, igst_amount
+             FROM order_items WHERE order_id = ? ORDER BY id`,
+            [order.id]
+        );
+        const [payments] = await connection.execute(
+            `SELECT payment_method, transaction_id, amount, status, created_at FROM payments
+             WHERE order_id = ? AND status IN ('completed', 'partially_refunded', 'refunded')
+             ORDER BY created_at, id`,
+            [order.id]
         );
 
-        res.json({
-            message: 'Payment processed successfully',
-            payment: {
-                id: payment_id,
-                amount: order.total_amount,
-                status: 'completed'
-            }
+        return { business: BUSINESS_DETAILS, invoice, order, items, payments };
+    });
+}
+
+function renderInvoiceHtml({ business, invoice, order, items, payments }) {
+    // Same rule as applyGst, so zero-rated inter-state lines still show IGST columns
+    const interstate = isInterstateSupply(order.place_of_supply);
+    const currency = order.currency || CURRENCY;
+    const rows = items.map((item, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${escapeHtml(item.product_name)}</td>
+                <td>${escapeHtml(item.hsn_code)}</td>
+                <td class="num">${escapeHtml(item.quantity)} ${escapeHtml(item.unit)}</td>
+                <td class="num">${formatAmount(item.price)}</td>
+                <td class="num">${formatAmount(item.taxable_value)}</td>
+                <td class="num">${escapeHtml(item.gst_rate)}%</td>
+                ${interstate
+                    ? `<td class="num">${formatAmount(item.igst_amount)}</td>`
+                    : `<td class="num">${formatAmount(item.cgst_amount)}</td><td class="num">${formatAmount(item.sgst_amount)}</td>`}
+            </tr>`).join('');
+    const paymentRows = payments.map(payment => `
+            <li>${escapeHtml(payment.payment_method)} &middot; ${escapeHtml(payment.transaction_id)} &middot; ${currency} ${formatAmount(payment.amount)}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Tax Invoice ${escapeHtml(invoice.invoice_number)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #2c3e50; margin: 40px; font-size: 13px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        .header, .parties { display: flex; justify-content: space-between; margin-bottom: 20px; }
+        .parties > div { width: 48%; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+        th, td { border: 1px solid #bdc3c7; padding: 6px 8px; text-align: left; }
+        th { background: #ecf0f1; }
+        .num { text-align: right; }
+        .totals { width: 40%; margin-left: auto; }
+        @media print { body { margin: 10mm; } }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div>
+            <h1>${escapeHtml(business.name)}</h1>
+            <div>${escapeHtml(business.address)}</div>
+            <div>GSTIN: ${escapeHtml(business.gstin)}</div>
+            <div>${escapeHtml(business.phone)} &middot; ${escapeHtml(business.email)}</div>
+        </div>
+        <div>
+            <h1>TAX INVOICE</h1>
+            <div>Invoice No: <strong>${escapeHtml(invoice.invoice_number)}</strong></div>
+            <div>Invoice Date: ${escapeHtml(new Date(invoice.issued_at).toLocaleDateString('en-IN'))}</div>
+            <div>Order No: #${escapeHtml(order.id)}</div>
+        </div>
+    </div>
+    <div class="parties">
+        <div>
+            <strong>Bill To</strong>
+            <div>${escapeHtml(invoice.buyer_name)}</div>
+            <div>${escapeHtml(invoice.buyer_address)}</div>
+            <div>GSTIN: ${escapeHtml(invoice.buyer_gstin || 'Unregistered')}</div>
+        </div>
+        <div>
+            <strong>Place of Supply</strong>
+            <div>${escapeHtml(order.place_of_supply || business.state)}</div>
+        </div>
+    </div>
+    <table>
+        <thead>
+            <tr>
+                <th>#</th><th>Item</th><th>HSN</th><th class="num">Qty</th><th class="num">Rate</th>
+                <th class="num">Taxable Value</th><th class="num">GST</th>
+                ${interstate ? '<th class="num">IGST</th>' : '<th class="num">CGST</th><th class="num">SGST</th>'}
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+    <table class="totals">
+        <tr><td>Taxable Value</td><td class="num">${formatAmount(order.taxable_amount)}</td></tr>
+        ${interstate
+            ? `<tr><td>IGST</td><td class="num">${formatAmount(order.igst_amount)}</td></tr>`
+            : `<tr><td>CGST</td><td class="num">${formatAmount(order.cgst_amount)}</td></tr>
+        <tr><td>SGST</td><td class="num">${formatAmount(order.sgst_amount)}</td></tr>`}
+        <tr><td>Delivery</td><td class="num">${formatAmount(order.delivery_fee)}</td></tr>
+        <tr><th>Total (${escapeHtml(currency)})</th><th class="num">${formatAmount(order.total_amount)}</th></tr>
+    </table>
+    <div>
+        <strong>Payments</strong>
+        <ul>${paymentRows}
+        </ul>
+    </div>
+    <p>This is a computer generated invoice.</p>
+</body>
+</html>`;
+}
+
+// Stream the invoice as a PDF (A4) to the response
+function renderInvoicePdf({ business, invoice, order, items, payments }, res) {
+    const interstate = isInterstateSupply(order.place_of_supply);
+    const currency = order.currency || CURRENCY;
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    doc.pipe(res);
+
+    doc.fontSize(16).text(business.name);
+    doc.fontSize(9).text(business.address).text(`GSTIN: ${business.gstin}`).text(`${business.phone} | ${business.email}`);
+    doc.moveDown();
+    doc.fontSize(14).text('TAX INVOICE', { align: 'right' });
+    doc.fontSize(9)
+        .text(`Invoice No: ${invoice.invoice_number}`, { align: 'right' })
+        .text(`Invoice Date: ${new Date(invoice.issued_at).toLocaleDateString('en-IN')}`, { align: 'right' })
+        .text(`Order No: #${order.id}`, { align: 'right' });
+    doc.moveDown();
+
+    doc.fontSize(10).text('Bill To', { underline: true });
+    doc.fontSize(9)
+        .text(invoice.buyer_name || '')
+        .text(invoice.buyer_address || '')
+        .text(`GSTIN: ${invoice.buyer_gstin || 'Unregistered'}`)
+        .text(`Place of Supply: ${order.place_of_supply || business.state}`);
+    doc.moveDown();
+
+    const columns = interstate
+        ? [['Item', 150], ['HSN', 45], ['Qty', 60], ['Rate', 55], ['Taxable', 65], ['GST %', 40], ['IGST', 60]]
+        : [['Item', 130], ['HSN', 45], ['Qty', 55], ['Rate', 50], ['Taxable', 60], ['GST %', 35], ['CGST', 45], ['SGST', 45]];
+    const drawRow = (values, bold) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        values.forEach((value, index) => {
+            doc.text(String(value), x, y, { width: columns[index][1] - 4 });
+            x += columns[index][1];
         });
+        doc.moveDown(0.5);
+        doc.x = doc.page.margins.left;
+    };
+
+    drawRow(columns.map(([label]) => label), true);
+    for (const item of items) {
+        const taxes = interstate
+            ? [formatAmount(item.igst_amount)]
+            : [formatAmount(item.cgst_amount), formatAmount(item.sgst_amount)];
+        drawRow([item.product_name, item.hsn_code || '', `${item.quantity} ${item.unit || ''}`, formatAmount(item.price),
+            formatAmount(item.taxable_value), `${item.gst_rate}%`, ...taxes]);
+    }
+    doc.moveDown();
+
+    const totals = [
+        ['Taxable Value', order.taxable_amount],
+        ...(interstate ? [['IGST', order.igst_amount]] : [['CGST', order.cgst_amount], ['SGST', order.sgst_amount]]),
+        ['Delivery', order.delivery_fee],
+        [`Total (${currency})`, order.total_amount]
+    ];
+    for (const [label, amount] of totals) {
+        doc.font(label.startsWith('Total') ? 'Helvetica-Bold' : 'Helvetica')
+            .text(`${label}: ${formatAmount(amount)}`, { align: 'right' });
+    }
+    doc.font('Helvetica').moveDown();
+
+    doc.fontSize(10).text('Payments', { underline: true });
+    doc.fontSize(9);
+    for (const payment of payments) {
+        doc.text(`${payment.payment_method} | ${payment.transaction_id} | ${currency} ${formatAmount(payment.amount)}`);
+    }
+    doc.moveDown().text('This is a computer generated invoice.');
+    doc.end();
+}
+
+// Download the tax invoice for a paid order (owner or staff); ?format=pdf for PDF, HTML otherwise
+app.get('/api/orders/:id/invoice', authenticateToken, validate({
+    params: idParams,
+    query: Joi.object({ format: Joi.string().valid('html', 'pdf') })
+}), async (req, res) => {
+    try {
+        const data = await loadInvoiceData(req.params.id, req.user);
+        const fileName = `invoice-${data.invoice.invoice_number.replace(/\//g, '-')}`;
+
+        if (req.query.format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+            return renderInvoicePdf(data, res);
+        }
 
+        res.setHeader('Content-Disposition', `inline; filename="${fileName}.html"`);
+        res.type('html').send(renderInvoiceHtml(data));
     } catch (error) {
-        console.error('Payment error:', error);
-        res.status(500).json({ error: 'Payment processing failed' });
+        sendError(res, error, 'Invoice error');
     }
 });
 
+// ============================================
+// EMAIL NOTIFICATIONS
+// ============================================
+
+const EMAIL_FROM = process.env.EMAIL_FROM || `"${BUSINESS_DETAILS.name}" <${process.env.EMAIL_USER || BUSINESS_DETAILS.email}>`;
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const EMAIL_OUTBOX_INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30000;
+const EMAIL_OUTBOX_BATCH_SIZE = 20;
+
+// SMTP settings come from EMAIL_*; leave EMAIL_USER empty for an unauthenticated
+// local stand-in such as MailHog (EMAIL_HOST=localhost, EMAIL_PORT=1025)
+function createMailTransport() {
+    return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST || 'localhost',
+        port: parseInt(process.env.EMAIL_PORT) || 587,
+        secure: parseBoolean(process.env.EMAIL_SECURE),
+        ignoreTLS: parseBoolean(process.env.EMAIL_IGNORE_TLS),
+        auth: process.env.EMAIL_USER ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS } : undefined
+    });
+}
+
+// Looked up at send time so tests can swap in another transport
+app.locals.mailTransport = createMailTransport();
+
+function formatMoney(amount, currency) {
+    return currency === 'INR' ? `₹${formatAmount(amount)}` : `${currency} ${formatAmount(amount)}`;
+}
+
+function orderItemsText(items) {
+    return items.map(item => `- ${item.product_name}: ${Number(item.quantity)} ${item.unit || ''}`.trimEnd()).join('\n');
+}
+
+function orderItemsHtml(items) {
+    return `<ul>${items.map(item =>
+        `<li>${escapeHtml(item.product_name)}: ${escapeHtml(Number(item.quantity))} ${escapeHtml(item.unit || '')}</li>`).join('')}</ul>`;
+}
+
+// Each template returns { subject, text, html }; html is the message body, wrapped by renderEmail()
+const EMAIL_TEMPLATES = {
+    welcome: ({ name, username, link, hours }) => ({
+        subject: `Welcome to ${BUSINESS_DETAILS.name}`,
+        text: `Hello ${name},\n\nYour account "${username}" is ready. You can now browse materials and request quotes.\n\n` +
+            `Please confirm your email address before placing orders (link expires in ${hours} hours):\n\n${link}`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>Your account <strong>${escapeHtml(username)}</strong> is ready. You can now browse materials and request quotes.</p>
+            <p>Please confirm your email address before placing orders (link expires in ${hours} hours):</p>
+            <p><a href="${escapeHtml(link)}">Confirm my email</a></p>`
+    }),
+    verify_email: ({ name, link, hours }) => ({
+        subject: 'Confirm your email address',
+        text: `Hello ${name},\n\nPlease confirm your email address (link expires in ${hours} hours):\n\n${link}`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>Please confirm your email address (link expires in ${hours} hours):</p>
+            <p><a href="${escapeHtml(link)}">Confirm my email</a></p>`
+    }),
+    order_placed: ({ name, order, items }) => ({
+        subject: `Order #${order.id} received`,
+        text: `Hello ${name},\n\nThank you for your order #${order.id}.\n\n${orderItemsText(items)}\n\n` +
+            `Total: ${formatMoney(order.total_amount, order.currency)}\nDeliver to: ${order.shipping_address || '-'}`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>Thank you for your order <strong>#${order.id}</strong>.</p>
+            ${orderItemsHtml(items)}
+            <p>Total: <strong>${formatMoney(order.total_amount, order.currency)}</strong><br>
+            Deliver to: ${escapeHtml(order.shipping_address || '-')}</p>`
+    }),
+    payment_received: ({ name, order, amount, method, reference }) => ({
+        subject: `Payment received for order #${order.id}`,
+        text: `Hello ${name},\n\nWe received your ${method} payment of ${formatMoney(amount, order.currency)} ` +
+            `for order #${order.id} (reference ${reference}). Your tax invoice is available from your orders page.`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>We received your ${escapeHtml(method)} payment of <strong>${formatMoney(amount, order.currency)}</strong>
+            for order <strong>#${order.id}</strong> (reference ${escapeHtml(reference)}).</p>
+            <p>Your tax invoice is available from your orders page.</p>`
+    }),
+    order_shipped: ({ name, order, items, note }) => ({
+        subject: `Order #${order.id} is on its way`,
+        text: `Hello ${name},\n\nOrder #${order.id} has left our yard.\n\n${orderItemsText(items)}` +
+            `${note ? `\n\nNote: ${note}` : ''}`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>Order <strong>#${order.id}</strong> has left our yard.</p>
+            ${orderItemsHtml(items)}
+            ${note ? `<p>Note: ${escapeHtml(note)}</p>` : ''}`
+    }),
+    order_delivered: ({ name, order, note }) => ({
+        subject: `Order #${order.id} delivered`,
+        text: `Hello ${name},\n\nOrder #${order.id} has been delivered. Thank you for choosing us.` +
+            `${note ? `\n\nNote: ${note}` : ''}`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>Order <strong>#${order.id}</strong> has been delivered. Thank you for choosing us.</p>
+            ${note ? `<p>Note: ${escapeHtml(note)}</p>` : ''}`
+    }),
+    refund_issued: ({ name, order, amount, method, full }) => ({
+        subject: `Refund for order #${order.id}`,
+        text: `Hello ${name},\n\nWe have issued a ${full ? 'full' : 'partial'} refund of ${formatMoney(amount, order.currency)} ` +
+            `to your ${method} payment for order #${order.id}. It can take 5-7 working days to appear.`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>We have issued a ${full ? 'full' : 'partial'} refund of <strong>${formatMoney(amount, order.currency)}</strong>
+            to your ${escapeHtml(method)} payment for order <strong>#${order.id}</strong>.</p>
+            <p>It can take 5-7 working days to appear.</p>`
+    }),
+    password_reset: ({ name, link, minutes }) => ({
+        subject: 'Reset your password',
+        text: `Hello ${name},\n\nUse this link to choose a new password. It works once and expires in ${minutes} minutes:\n\n${link}\n\n` +
+            'If you did not ask to reset your password, you can ignore this email.',
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>Use the link below to choose a new password. It works once and expires in ${minutes} minutes.</p>
+            <p><a href="${escapeHtml(link)}">Reset my password</a></p>
+            <p>If you did not ask to reset your password, you can ignore this email.</p>`
+    }),
+    password_changed: ({ name }) => ({
+        subject: 'Your password was changed',
+        text: `Hello ${name},\n\nYour password was just changed and your other sessions have been signed out. ` +
+            'If this was not you, reset your password and contact us immediately.',
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>Your password was just changed and your other sessions have been signed out.
+            If this was not you, reset your password and contact us immediately.</p>`
+    }),
+    ticket_received: ({ name, ticket }) => ({
+        subject: `[Ticket #${ticket.id}] We received your message`,
+        text: `Hello ${name},\n\nThanks for contacting us about "${ticket.subject}". ` +
+            `Your ticket number is #${ticket.id}; our team will reply to this email address.`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>Thanks for contacting us about <strong>${escapeHtml(ticket.subject)}</strong>.
+            Your ticket number is <strong>#${ticket.id}</strong>; our team will reply to this email address.</p>`
+    }),
+    ticket_reply: ({ name, ticket, message, staffName }) => ({
+        subject: `[Ticket #${ticket.id}] ${ticket.subject}`,
+        text: `Hello ${name},\n\n${staffName} replied to your ticket #${ticket.id}:\n\n${message}`,
+        html: `<p>Hello ${escapeHtml(name)},</p>
+            <p>${escapeHtml(staffName)} replied to your ticket <strong>#${ticket.id}</strong>:</p>
+            <blockquote style="border-left: 3px solid #e67e22; margin: 0; padding-left: 12px; white-space: pre-wrap;">${escapeHtml(message)}</blockquote>`
+    })
+};
+
+function renderEmail(template, data) {
+    const content = EMAIL_TEMPLATES[template](data);
+    const footer = `${BUSINESS_DETAILS.name}, ${BUSINESS_DETAILS.address} | ${BUSINESS_DETAILS.phone} | ${BUSINESS_DETAILS.email}`;
+
+    return {
+        subject: content.subject,
+        text: `${content.text}\n\n--\n${footer}`,
+        html: `<!DOCTYPE html>
+<html lang="en">
+<body style="font-family: Arial, sans-serif; color: #2c3e50; font-size: 14px;">
+    <div style="max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #e67e22;">${escapeHtml(BUSINESS_DETAILS.name)}</h2>
+        ${content.html}
+        <hr style="border: none; border-top: 1px solid #ecf0f1;">
+        <p style="font-size: 12px; color: #7f8c8d;">${escapeHtml(footer)}</p>
+    </div>
+</body>
+</html>`
+    };
+}
+
+// Render a template and add it to the outbox. Pass the transaction's connection so
+// the email is only queued if the surrounding change commits.
+async function queueEmail(executor, template, recipient, data) {
+    if (!recipient) {
+        return;
+    }
+
+    const email = renderEmail(template, data);
+    await executor.execute(
+        'INSERT INTO email_outbox (recipient, template, subject, text_body, html_body) VALUES (?, ?, ?, ?, ?)',
+        [recipient, template, email.subject, email.text, email.html]
+    );
+}
+
+// Queue an order email to the order's customer, with the order and its items
+async function queueOrderEmail(executor, orderId, template, data = {}) {
+    const [orders] = await executor.execute(
+        `SELECT o.*, u.email, u.username, u.full_name FROM orders o
+         JOIN users u ON u.id = o.user_id WHERE o.id = ?`,
+        [orderId]
+    );
+    if (orders.length === 0) {
+        return;
+    }
+
+    const order = { ...orders[0], currency: orders[0].currency || CURRENCY };
+    const [items] = await executor.execute(
+        'SELECT product_name, quantity, unit FROM order_items WHERE order_id = ? ORDER BY id',
+        [orderId]
+    );
+
+    await queueEmail(executor, template, order.email, {
+        name: order.full_name || order.username,
+        order,
+        items,
+        ...data
+    });
+}
+
+let emailOutboxBusy = false;
+
+// Send due emails. Failures are retried with exponential backoff (1, 2, 4... minutes)
+// until EMAIL_MAX_ATTEMPTS, then left as 'failed'. Rows stuck in 'sending' after a
+// crash are picked up again after 10 minutes.
+async function processEmailOutbox() {
+    if (emailOutboxBusy) {
+        return;
+    }
+    emailOutboxBusy = true;
+
+    try {
+        const [emails] = await db.query(
+            `SELECT * FROM email_outbox
+             WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                OR (status = 'sending' AND locked_at < NOW() - INTERVAL 10 MINUTE)
+             ORDER BY id LIMIT ${EMAIL_OUTBOX_BATCH_SIZE}`
+        );
+
+        for (const email of emails) {
+            // Claim the row so another server instance doesn't send it too
+            const [claimed] = await db.execute(
+                "UPDATE email_outbox SET status = 'sending', locked_at = NOW() WHERE id = ? AND status = ? AND attempts = ?",
+                [email.id, email.status, email.attempts]
+            );
+            if (claimed.affectedRows === 0) {
+                continue;
+            }
+
+            try {
+                await app.locals.mailTransport.sendMail({
+                    from: EMAIL_FROM,
+                    to: email.recipient,
+                    subject: email.subject,
+                    text: email.text_body,
+                    html: email.html_body
+                });
+                await db.execute(
+                    "UPDATE email_outbox SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL WHERE id = ?",
+                    [email.id]
+                );
+            } catch (error) {
+                const attempts = email.attempts + 1;
+                console.warn(`Email ${email.id} (${email.template}) attempt ${attempts} failed:`, error.message);
+                await db.execute(
+                    `UPDATE email_outbox SET status = ?, attempts = ?, last_error = ?,
+                            next_attempt_at = NOW() + INTERVAL ? MINUTE
+                     WHERE id = ?`,
+                    [attempts >= EMAIL_MAX_ATTEMPTS ? 'failed' : 'pending', attempts, String(error.message).slice(0, 1000),
+                        2 ** (attempts - 1), email.id]
+                );
+            }
+        }
+    } catch (error) {
+        console.error('Email outbox error:', error);
+    } finally {
+        emailOutboxBusy = false;
+    }
+}
+
 // ============================================
 // CONTACT AND SUPPORT
 // ============================================
 
-// Send contact message
-app.post('/api/contact', async (req, res) => {
+const TICKET_STATUSES = ['open', 'in_progress', 'resolved'];
+
+// Load a ticket with its message thread; customers only see their own tickets
+async function loadTicket(executor, ticketId, user, forUpdate = false) {
+    const isStaff = STAFF_ROLES.includes(user.role);
+    const [tickets] = await executor.execute(
+        `SELECT t.*, a.username AS assignee_username, a.full_name AS assignee_name
+         FROM support_tickets t
+         LEFT JOIN users a ON a.id = t.assigned_to
+         WHERE t.id = ?${isStaff ? '' : ' AND t.user_id = ?'}${forUpdate ? ' FOR UPDATE OF t' : ''}`,
+        isStaff ? [ticketId] : [ticketId, user.id]
+    );
+    if (tickets.length === 0) {
+        throw new ApiError(404, 'Ticket not found');
+    }
+
+    const [messages] = await executor.execute(
+        `SELECT m.id, m.author_type, m.message, m.created_at, u.username AS author_username, u.full_name AS author_name
+         FROM support_ticket_messages m
+         LEFT JOIN users u ON u.id = m.author_id
+         WHERE m.ticket_id = ?
+         ORDER BY m.created_at, m.id`,
+        [tickets[0].id]
+    );
+
+    return { ...tickets[0], messages };
+}
+
+// Send contact message; it is stored as a support ticket, linked to the user when logged in
+app.post('/api/contact', rateLimiters.contact, optionalAuthentication, validate({
+    body: Joi.object({
+        name: fieldRules.text(100).min(1).required(),
+        email: fieldRules.email.required(),
+        phone: fieldRules.phone.allow('', null),
+        subject: fieldRules.text(255).allow('', null),
+        message: fieldRules.text(5000).min(1).required()
+    })
+}), async (req, res) => {
+    try {
+        const { name, email, phone, subject, message } = req.body;
+
+        const ticket = await withTransaction(async (connection) => {
+            const [result] = await connection.execute(
+                'INSERT INTO support_tickets (user_id, name, email, phone, subject) VALUES (?, ?, ?, ?, ?)',
+                [req.user ? req.user.id : null, name, email, phone || null, subject || 'General enquiry']
+            );
+            await connection.execute(
+                "INSERT INTO support_ticket_messages (ticket_id, author_id, author_type, message) VALUES (?, ?, 'customer', ?)",
+                [result.insertId, req.user ? req.user.id : null, message]
+            );
+
+            const created = { id: result.insertId, subject: subject || 'General enquiry', status: 'open' };
+            await queueEmail(connection, 'ticket_received', email, { name, ticket: created });
+            return created;
+        });
+
+        res.status(201).json({ message: 'Message sent successfully', ticket });
+    } catch (error) {
+        sendError(res, error, 'Contact error', 'Failed to send message');
+    }
+});
+
+// Own support tickets (requires auth)
+app.get('/api/tickets', authenticateToken, async (req, res) => {
+    try {
+        const [tickets] = await db.execute(
+            `SELECT t.id, t.subject, t.status, t.created_at, t.updated_at,
+                    (SELECT COUNT(*) FROM support_ticket_messages m WHERE m.ticket_id = t.id) AS message_count
+             FROM support_tickets t
+             WHERE t.user_id = ?
+             ORDER BY t.updated_at DESC, t.id DESC`,
+            [req.user.id]
+        );
+
+        res.json({ tickets });
+    } catch (error) {
+        console.error('Tickets error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Ticket with its reply thread (owner or staff)
+app.get('/api/tickets/:id', authenticateToken, validate({ params: idParams }), async (req, res) => {
+    try {
+        const ticket = await loadTicket(db, req.params.id, req.user);
+        res.json({ ticket });
+    } catch (error) {
+        sendError(res, error, 'Ticket error');
+    }
+});
+
+// Reply to a ticket. Staff replies are emailed to the customer and move an open
+// ticket to in_progress; a customer reply reopens a resolved ticket.
+app.post('/api/tickets/:id/replies', authenticateToken, validate({
+    params: idParams,
+    body: Joi.object({ message: fieldRules.text(5000).min(1).required() })
+}), async (req, res) => {
+    try {
+        const { message } = req.body;
+
+        const isStaff = STAFF_ROLES.includes(req.user.role);
+        const ticket = await withTransaction(async (connection) => {
+            const current = await loadTicket(connection, req.params.id, req.user, true);
+
+            await connection.execute(
+                'INSERT INTO support_ticket_messages (ticket_id, author_id, author_type, message) VALUES (?, ?, ?, ?)',
+                [current.id, req.user.id, isStaff ? 'staff' : 'customer', message]
+            );
+
+            const nextStatus = isStaff
+                ? (current.status === 'open' ? 'in_progress' : current.status)
+                : (current.status === 'resolved' ? 'open' : current.status);
+            // Also bumps updated_at so the ticket sorts to the top of the inbox
+            await connection.execute('UPDATE support_tickets SET status = ?, updated_at = NOW() WHERE id = ?', [nextStatus, current.id]);
+
+            if (isStaff) {
+                const [staff] = await connection.execute('SELECT username, full_name FROM users WHERE id = ?', [req.user.id]);
+                await queueEmail(connection, 'ticket_reply', current.email, {
+                    name: current.name,
+                    ticket: current,
+                    message,
+                    staffName: staff.length > 0 ? staff[0].full_name || staff[0].username : BUSINESS_DETAILS.name
+                });
+            }
+
+            return await loadTicket(connection, current.id, req.user);
+        });
+
+        res.status(201).json({ message: 'Reply added', ticket });
+    } catch (error) {
+        sendError(res, error, 'Ticket reply error');
+    }
+});
+
+// Support inbox (admin/employee). Filters: status, assigned_to (user id, "me" or "unassigned"), search
+app.get('/api/staff/tickets', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    query: Joi.object({
+        status: Joi.string().valid(...TICKET_STATUSES),
+        assigned_to: Joi.alternatives().try(fieldRules.id, Joi.string().valid('me', 'unassigned')),
+        search: fieldRules.text(100).allow(''),
+        page: fieldRules.page,
+        limit: fieldRules.limit
+    })
+}), async (req, res) => {
+    try {
+        const { status, assigned_to, search } = req.query;
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('t.status = ?');
+            params.push(status);
+        }
+        if (assigned_to === 'unassigned') {
+            conditions.push('t.assigned_to IS NULL');
+        } else if (assigned_to) {
+            conditions.push('t.assigned_to = ?');
+            params.push(assigned_to === 'me' ? req.user.id : parseInt(assigned_to, 10) || 0);
+        }
+        if (search && search.trim()) {
+            const term = containsPattern(search);
+            conditions.push('(t.subject LIKE ? OR t.name LIKE ? OR t.email LIKE ?)');
+            params.push(term, term, term);
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [[{ total }]] = await db.execute(`SELECT COUNT(*) AS total FROM support_tickets t ${where}`, params);
+        const [tickets] = await db.execute(
+            `SELECT t.*, a.username AS assignee_username, a.full_name AS assignee_name
+             FROM support_tickets t
+             LEFT JOIN users a ON a.id = t.assigned_to
+             ${where}
+             ORDER BY t.updated_at DESC, t.id DESC
+             LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+            params
+        );
+
+        res.json({
+            tickets,
+            pagination: { page, limit, total, total_pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Staff tickets error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Assign a ticket and/or change its status (admin/employee): { status, assigned_to }
+// assigned_to must be a staff user, or null to unassign
+app.put('/api/tickets/:id', authenticateToken, authorizeRoles(...STAFF_ROLES), validate({
+    params: idParams,
+    body: Joi.object({
+        status: Joi.string().valid(...TICKET_STATUSES),
+        assigned_to: fieldRules.id.allow(null)
+    })
+}), async (req, res) => {
     try {
-        const { name, email, subject, message } = req.body;
+        const { status, assigned_to } = req.body;
 
-        if (!name || !email || !message) {
-            return res.status(400).json({ error: 'Name, email, and message are required' });
+        if (status === undefined && assigned_to === undefined) {
+            return res.status(400).json({ error: 'Provide a status or assigned_to' });
         }
 
-        // Here you would send an email using nodemailer
-        // For now, we'll just log the message
-        console.log('Contact message received:', { name, email, subject, message });
+        const ticket = await withTransaction(async (connection) => {
+            const current = await loadTicket(connection, req.params.id, req.user, true);
+
+            if (assigned_to !== undefined && assigned_to !== null) {
+                const [assignees] = await connection.execute('SELECT id, role FROM users WHERE id = ?', [assigned_to]);
+                if (assignees.length === 0 || !STAFF_ROLES.includes(assignees[0].role)) {
+                    throw new ApiError(400, 'Tickets can only be assigned to staff users');
+                }
+            }
+
+            await connection.execute(
+                'UPDATE support_tickets SET status = ?, assigned_to = ? WHERE id = ?',
+                [status !== undefined ? status : current.status,
+                    assigned_to !== undefined ? assigned_to : current.assigned_to, current.id]
+            );
+
+            return await loadTicket(connection, current.id, req.user);
+        });
 
-        res.json({ message: 'Message sent successfully' });
+        res.json({ message: 'Ticket updated', ticket });
     } catch (error) {
-        console.error('Contact error:', error);
-        res.status(500).json({ error: 'Failed to send message' });
+        sendError(res, error, 'Ticket update error');
     }
 });
 
@@ -528,6 +4591,11 @@ app.post('/api/contact', async (req, res) => {
 // ERROR HANDLING
 // ============================================
 app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE' ? 'Image must be 5MB or smaller' : err.message;
+        return res.status(400).json({ error: message });
+    }
+
     console.error(err.stack);
     res.status(500).json({ error: 'Something went wrong!' });
 });
@@ -542,6 +4610,8 @@ app.use((req, res) => {
 // ============================================
 async function startServer() {
     await initDatabase();
+
+    setInterval(processEmailOutbox, EMAIL_OUTBOX_INTERVAL_MS).unref();
     
     app.listen(PORT, () => {
         console.log(`Server running on port ${PORT}`);
@@ -549,6 +4619,12 @@ async function startServer() {
     });
 }
 
-startServer().catch(console.error);
+// Only listen when run directly; tests require the app and drive it with supertest
+if (require.main === module) {
+    startServer().catch(console.error);
+}
 
 module.exports = app;
+// For tests, which connect to a stubbed pool and run the outbox by hand
+module.exports.initDatabase = initDatabase;
+module.exports.processEmailOutbox = processEmailOutbox;
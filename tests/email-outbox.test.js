@@ -0,0 +1,118 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp } = require('./helpers/app');
+
+let app;
+let outbox;
+let mailTransport;
+let staleRows;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    outbox = [];
+    staleRows = null;
+
+    fakeDb
+        .on(/FROM email_outbox/, () => staleRows || outbox.filter(email => email.status === 'pending'))
+        .on(/UPDATE email_outbox SET status = 'sending'/, (params) => {
+            const email = outbox.find(row => row.id === params[0] && row.status === params[1] && row.attempts === params[2]);
+            if (!email) {
+                return { affectedRows: 0 };
+            }
+            email.status = 'sending';
+            return { affectedRows: 1 };
+        })
+        .on(/UPDATE email_outbox SET status = 'sent'/, (params) => {
+            const email = outbox.find(row => row.id === params[0]);
+            Object.assign(email, { status: 'sent', attempts: email.attempts + 1 });
+            return { affectedRows: 1 };
+        })
+        .on(/UPDATE email_outbox SET status = \?/, ([status, attempts, lastError, retryMinutes, id]) => {
+            Object.assign(outbox.find(row => row.id === id), { status, attempts, last_error: lastError, retry_minutes: retryMinutes });
+            return { affectedRows: 1 };
+        });
+
+    mailTransport = { sendMail: jest.fn(async () => ({ messageId: 'message-1' })) };
+    app.locals.mailTransport = mailTransport;
+});
+
+const queueEmail = (overrides = {}) => {
+    const email = {
+        id: outbox.length + 1,
+        recipient: 'customer@example.com',
+        template: 'order_placed',
+        subject: 'Order #10 received',
+        text_body: 'Thanks for your order',
+        html_body: '<p>Thanks for your order</p>',
+        status: 'pending',
+        attempts: 0,
+        ...overrides
+    };
+    outbox.push(email);
+    return email;
+};
+
+describe('processEmailOutbox', () => {
+    test('sends due emails and marks them sent', async () => {
+        const email = queueEmail();
+
+        await app.processEmailOutbox();
+
+        expect(mailTransport.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'customer@example.com',
+            subject: 'Order #10 received'
+        }));
+        expect(email).toMatchObject({ status: 'sent', attempts: 1 });
+    });
+
+    test('retries a failed send with exponential backoff', async () => {
+        const email = queueEmail();
+        mailTransport.sendMail.mockRejectedValue(new Error('SMTP connection refused'));
+
+        await app.processEmailOutbox();
+        expect(email).toMatchObject({ status: 'pending', attempts: 1, retry_minutes: 1, last_error: 'SMTP connection refused' });
+
+        await app.processEmailOutbox();
+        expect(email).toMatchObject({ status: 'pending', attempts: 2, retry_minutes: 2 });
+
+        await app.processEmailOutbox();
+        expect(email).toMatchObject({ status: 'pending', attempts: 3, retry_minutes: 4 });
+
+        mailTransport.sendMail.mockResolvedValue({ messageId: 'message-2' });
+        await app.processEmailOutbox();
+        expect(email).toMatchObject({ status: 'sent', attempts: 4 });
+    });
+
+    test('gives up after the last attempt', async () => {
+        const email = queueEmail({ attempts: 4 });
+        mailTransport.sendMail.mockRejectedValue(new Error('Mailbox unavailable'));
+
+        await app.processEmailOutbox();
+
+        expect(email).toMatchObject({ status: 'failed', attempts: 5 });
+        await app.processEmailOutbox();
+        expect(mailTransport.sendMail).toHaveBeenCalledTimes(1);
+    });
+
+    test('skips an email another server has already claimed', async () => {
+        const email = queueEmail();
+        // Read as due, then sent by another server before this one claims it
+        staleRows = [{ ...email }];
+        Object.assign(email, { status: 'sent', attempts: 1 });
+
+        await app.processEmailOutbox();
+
+        expect(mailTransport.sendMail).not.toHaveBeenCalled();
+    });
+});
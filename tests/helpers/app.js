@@ -0,0 +1,34 @@
+// ============================================
+// APP SETUP FOR TESTS
+// Loads server.js against the fake pool (see fakeDb.js) and signs users in
+// ============================================
+
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { fakeDb } = require('./fakeDb');
+
+process.env.MIGRATE_ON_START = 'false';
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'mani-construction-test-uploads');
+
+async function loadApp() {
+    const app = require('../../server');
+    await app.initDatabase();
+    return app;
+}
+
+// Users signed in so far, by id. Several can be signed in at once, e.g. a customer and staff
+const signedIn = new Map();
+
+// Answer the session lookup for user and return an Authorization header value for them
+function signIn(user) {
+    const sessionId = `session-${user.id}`;
+    signedIn.set(user.id, user);
+    fakeDb.on(/FROM users u WHERE u\.id = \?/, (params) => (signedIn.has(params[1])
+        ? [{ email_verified_at: new Date(), ...signedIn.get(params[1]), session_active: 1 }]
+        : []));
+    return `Bearer ${jwt.sign({ id: user.id, role: user.role, sid: sessionId }, process.env.JWT_SECRET)}`;
+}
+
+module.exports = { loadApp, signIn };
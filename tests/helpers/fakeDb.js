@@ -0,0 +1,51 @@
+// ============================================
+// FAKE DATABASE FOR TESTS
+// Stands in for the mysql2 pool: jest.mock('mysql2/promise', () => require('./helpers/fakeDb'))
+// ============================================
+
+// Statements are answered by the first handler whose pattern matches the SQL. Anything
+// unmatched returns no rows for a SELECT and one affected row otherwise.
+const handlers = [];
+const calls = [];
+
+async function run(sql, params = []) {
+    calls.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+    const handler = handlers.find(candidate => candidate.pattern.test(sql));
+    if (handler) {
+        return [await handler.respond(params, sql)];
+    }
+    return [/^\s*SELECT/i.test(sql) ? [] : { affectedRows: 1, insertId: 1 }];
+}
+
+const connection = {
+    execute: run,
+    query: run,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {}
+};
+
+const fakeDb = {
+    ...connection,
+    getConnection: async () => connection,
+    end: async () => {},
+
+    // respond(params, sql) returns the rows (or result header) for a matching statement
+    on(pattern, respond) {
+        handlers.push({ pattern, respond });
+        return fakeDb;
+    },
+
+    // Statements seen so far, whitespace collapsed, optionally filtered by pattern
+    calls(pattern) {
+        return pattern ? calls.filter(call => pattern.test(call.sql)) : calls;
+    },
+
+    reset() {
+        handlers.length = 0;
+        calls.length = 0;
+    }
+};
+
+module.exports = { createPool: () => fakeDb, fakeDb };
@@ -0,0 +1,111 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp, signIn } = require('./helpers/app');
+
+const CUSTOMER = { id: 2, username: 'customer', email: 'customer@example.com', role: 'customer' };
+
+let app;
+let auth;
+let keys;
+let product;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    auth = signIn(CUSTOMER);
+    keys = [];
+    product = { id: 1, name: 'Cement 50kg', price: 400, unit: 'bag', allow_decimal: 0, stock_quantity: 10, hsn_code: '2523', gst_rate: 28 };
+
+    const findKey = (userId, key) => keys.find(row => row.user_id === userId && row.idempotency_key === key);
+
+    fakeDb
+        .on(/INSERT INTO idempotency_keys/, ([userId, key, requestHash]) => {
+            // The (user_id, idempotency_key) unique index
+            if (findKey(userId, key)) {
+                throw Object.assign(new Error(`Duplicate entry '${userId}-${key}'`), { code: 'ER_DUP_ENTRY' });
+            }
+            keys.push({ user_id: userId, idempotency_key: key, request_hash: requestHash, status: 'processing' });
+            return { affectedRows: 1, insertId: keys.length };
+        })
+        .on(/SELECT \* FROM idempotency_keys/, ([userId, key]) => keys.filter(row => row === findKey(userId, key)))
+        .on(/UPDATE idempotency_keys SET status = 'completed'/, ([status, body, userId, key]) => {
+            Object.assign(findKey(userId, key), { status: 'completed', response_status: status, response_body: JSON.parse(body) });
+            return { affectedRows: 1 };
+        })
+        .on(/DELETE FROM idempotency_keys WHERE user_id = \?/, ([userId, key]) => {
+            keys = keys.filter(row => row !== findKey(userId, key));
+            return { affectedRows: 1 };
+        })
+        .on(/FROM products WHERE id = \? FOR UPDATE/, ([id]) => (id === product.id ? [product] : []))
+        .on(/UPDATE products SET stock_quantity = stock_quantity - \?/, ([quantity]) => {
+            product.stock_quantity -= quantity;
+            return { affectedRows: 1 };
+        })
+        .on(/INSERT INTO orders \(/, () => ({ affectedRows: 1, insertId: 10 }));
+});
+
+const placeOrder = (key, quantity = 2) => request(app)
+    .post('/api/orders')
+    .set('Authorization', auth)
+    .set('Idempotency-Key', key)
+    .send({ items: [{ product_id: 1, quantity }], shipping_state: 'Tamil Nadu' });
+
+describe('Idempotency-Key', () => {
+    test('replays the stored response instead of placing the order again', async () => {
+        const first = await placeOrder('order-key-1');
+        expect(first.status).toBe(201);
+        expect(product.stock_quantity).toBe(8);
+
+        const replay = await placeOrder('order-key-1');
+
+        expect(replay.status).toBe(201);
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+        expect(replay.body).toEqual(first.body);
+        expect(product.stock_quantity).toBe(8);
+        expect(fakeDb.calls(/INSERT INTO orders \(/)).toHaveLength(1);
+    });
+
+    test('rejects the same key with a different request body', async () => {
+        await placeOrder('order-key-1');
+
+        const res = await placeOrder('order-key-1', 3);
+
+        expect(res.status).toBe(422);
+        expect(product.stock_quantity).toBe(8);
+    });
+
+    test('refuses a key whose first request is still being processed', async () => {
+        await placeOrder('order-key-1');
+        keys[0].status = 'processing';
+
+        const res = await placeOrder('order-key-1');
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toMatch(/still being processed/);
+        expect(fakeDb.calls(/INSERT INTO orders \(/)).toHaveLength(1);
+    });
+
+    test('frees the key when the request fails so it can be retried', async () => {
+        product.stock_quantity = 1;
+        const failed = await placeOrder('order-key-1');
+        expect(failed.status).toBe(409);
+        expect(keys).toEqual([]);
+
+        product.stock_quantity = 10;
+        const retry = await placeOrder('order-key-1');
+
+        expect(retry.status).toBe(201);
+        expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    });
+});
@@ -0,0 +1,104 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp, signIn } = require('./helpers/app');
+
+const STAFF = { id: 1, username: 'staff', email: 'staff@example.com', role: 'employee' };
+
+// Only Date is faked, so supertest and the app keep their real timers
+const REAL_TIMERS = ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+    'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'];
+
+let app;
+let auth;
+let sequences;
+let invoices;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    auth = signIn(STAFF);
+    sequences = new Map();
+    invoices = [];
+
+    fakeDb
+        .on(/SELECT \* FROM orders WHERE id = \? FOR UPDATE/, ([id]) => [{
+            id, user_id: 2, status: 'delivered', payment_status: 'paid', currency: 'INR', total_amount: 1180,
+            taxable_amount: 1000, cgst_amount: 90, sgst_amount: 90, igst_amount: 0, tax_amount: 180,
+            place_of_supply: 'Tamil Nadu', delivery_fee: 0, shipping_address: '12 Anna Salai, Chennai', created_at: new Date()
+        }])
+        .on(/SELECT \* FROM invoices WHERE order_id = \?/, ([orderId]) => invoices.filter(invoice => invoice.order_id === orderId))
+        .on(/INSERT IGNORE INTO invoice_sequences/, ([year]) => {
+            if (sequences.has(year)) {
+                return { affectedRows: 0 };
+            }
+            sequences.set(year, 0);
+            return { affectedRows: 1 };
+        })
+        .on(/SELECT last_number FROM invoice_sequences/, ([year]) => [{ last_number: sequences.get(year) }])
+        .on(/UPDATE invoice_sequences SET last_number = \?/, ([number, year]) => {
+            sequences.set(year, number);
+            return { affectedRows: 1 };
+        })
+        .on(/INSERT INTO invoices/, ([orderId, invoiceNumber, year, number]) => {
+            invoices.push({ id: invoices.length + 1, order_id: orderId, invoice_number: invoiceNumber, financial_year: year, sequence_number: number });
+            return { affectedRows: 1, insertId: invoices.length };
+        });
+});
+
+const setToday = (date) => jest.useFakeTimers({ doNotFake: REAL_TIMERS, now: date });
+
+const invoiceNumber = async (orderId) => {
+    const res = await request(app).get(`/api/orders/${orderId}/invoice`).set('Authorization', auth);
+    expect(res.status).toBe(200);
+    return invoices.find(invoice => invoice.order_id === orderId).invoice_number;
+};
+
+describe('invoice numbering', () => {
+    test('numbers invoices sequentially within a financial year', async () => {
+        setToday(new Date(2026, 5, 15));
+
+        expect(await invoiceNumber(10)).toBe('MC/2026-27/000001');
+        expect(await invoiceNumber(11)).toBe('MC/2026-27/000002');
+        expect(invoices.map(invoice => invoice.invoice_number)).toEqual(['MC/2026-27/000001', 'MC/2026-27/000002']);
+    });
+
+    test('keeps an order\'s number when its invoice is generated again', async () => {
+        setToday(new Date(2026, 5, 15));
+        await invoiceNumber(10);
+
+        expect(await invoiceNumber(10)).toBe('MC/2026-27/000001');
+        expect(invoices).toHaveLength(1);
+        expect(sequences.get('2026-27')).toBe(1);
+    });
+
+    test('starts again from 1 in a new financial year', async () => {
+        setToday(new Date(2027, 2, 31, 23, 0));
+        await invoiceNumber(10);
+        await invoiceNumber(11);
+
+        setToday(new Date(2027, 3, 1, 9, 0));
+        await invoiceNumber(12);
+
+        expect(invoices.map(invoice => invoice.invoice_number)).toEqual([
+            'MC/2026-27/000001',
+            'MC/2026-27/000002',
+            'MC/2027-28/000001'
+        ]);
+        expect([...sequences]).toEqual([['2026-27', 2], ['2027-28', 1]]);
+    });
+});
@@ -0,0 +1,99 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp } = require('./helpers/app');
+
+// Keep the per-IP login limiter out of the way of the per-account lockout
+process.env.LOGIN_RATE_LIMIT_MAX = '1000';
+
+let app;
+let passwordHash;
+let user;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    passwordHash = await bcrypt.hash('correct-password', 4);
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    user = {
+        id: 2, username: 'customer', email: 'customer@example.com', role: 'customer',
+        password: passwordHash, failed_login_attempts: 0, locked_until: null
+    };
+
+    fakeDb
+        .on(/SELECT \* FROM users WHERE username = \? OR email = \?/, () => [{ ...user }])
+        .on(/SELECT failed_login_attempts FROM users WHERE id = \? FOR UPDATE/, () => [{ failed_login_attempts: user.failed_login_attempts }])
+        .on(/UPDATE users SET failed_login_attempts = \?, locked_until = \?/, ([attempts, lockedUntil]) => {
+            Object.assign(user, { failed_login_attempts: attempts, locked_until: lockedUntil });
+            return { affectedRows: 1 };
+        })
+        .on(/UPDATE users SET failed_login_attempts = \?/, ([attempts]) => {
+            user.failed_login_attempts = attempts;
+            return { affectedRows: 1 };
+        })
+        .on(/UPDATE users SET failed_login_attempts = 0, locked_until = NULL/, () => {
+            Object.assign(user, { failed_login_attempts: 0, locked_until: null });
+            return { affectedRows: 1 };
+        });
+});
+
+const login = (password) => request(app).post('/api/login').send({ username: 'customer', password });
+
+describe('POST /api/login lockout', () => {
+    test('locks the account after repeated failed logins', async () => {
+        for (let attempt = 1; attempt < 5; attempt++) {
+            const res = await login('wrong-password');
+            expect(res.status).toBe(401);
+        }
+        expect(user.failed_login_attempts).toBe(4);
+
+        const res = await login('wrong-password');
+
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('account_locked');
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+        expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(60);
+        expect(user.locked_until.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('refuses a locked account even with the right password', async () => {
+        Object.assign(user, { failed_login_attempts: 5, locked_until: new Date(Date.now() + 60 * 1000) });
+
+        const res = await login('correct-password');
+
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('account_locked');
+        expect(res.body.token).toBeUndefined();
+        expect(fakeDb.calls(/failed_login_attempts = 0/)).toHaveLength(0);
+    });
+
+    test('doubles the lock for each failure after the threshold', async () => {
+        Object.assign(user, { failed_login_attempts: 6, locked_until: new Date(Date.now() - 1000) });
+
+        const res = await login('wrong-password');
+
+        expect(res.status).toBe(429);
+        // 7th failure: 1 * 2^(7 - 5) = 4 minutes
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(3 * 60);
+        expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(4 * 60);
+    });
+
+    test('clears the failure count on a successful login', async () => {
+        Object.assign(user, { failed_login_attempts: 3 });
+
+        const res = await login('correct-password');
+
+        expect(res.status).toBe(200);
+        expect(user.failed_login_attempts).toBe(0);
+    });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { fakeDb } = require('./helpers/fakeDb');
+const { migrateUp, migrateDown } = require('../migrate');
+const { addColumn, dropColumn } = require('../migrations/helpers');
+
+const MIGRATIONS = fs.readdirSync(path.join(__dirname, '..', 'migrations'))
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => path.basename(file, '.js'));
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1];
+
+let applied;
+let columns;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    applied = [];
+    columns = new Set();
+
+    fakeDb
+        .on(/GET_LOCK/, () => [{ acquired: 1 }])
+        .on(/SELECT name, batch, applied_at FROM schema_migrations/, () => applied.map(row => ({ ...row })))
+        .on(/MAX\(batch\)/, () => [{ lastBatch: Math.max(0, ...applied.map(row => row.batch)) }])
+        .on(/INSERT INTO schema_migrations/, ([name, batch]) => {
+            applied.push({ name, batch, applied_at: new Date() });
+            return { affectedRows: 1 };
+        })
+        .on(/DELETE FROM schema_migrations/, ([name]) => {
+            applied = applied.filter(row => row.name !== name);
+            return { affectedRows: 1 };
+        })
+        .on(/information_schema\.COLUMNS/, ([table, column]) => (columns.has(`${table}.${column}`) ? [{ 1: 1 }] : []))
+        .on(/ADD COLUMN/, (params, sql) => {
+            const [, table, column] = sql.match(/ALTER TABLE (\w+) ADD COLUMN (\w+)/);
+            columns.add(`${table}.${column}`);
+            return { affectedRows: 0 };
+        })
+        .on(/DROP COLUMN/, (params, sql) => {
+            const [, table, column] = sql.match(/ALTER TABLE (\w+) DROP COLUMN (\w+)/);
+            columns.delete(`${table}.${column}`);
+            return { affectedRows: 0 };
+        });
+});
+
+// Every migration but the latest already applied, in batch 1
+const applyAllButLatest = () => {
+    applied = MIGRATIONS.slice(0, -1).map(name => ({ name, batch: 1, applied_at: new Date() }));
+};
+
+describe('migrateUp', () => {
+    test('runs only the pending migrations, as a new batch', async () => {
+        applyAllButLatest();
+
+        const names = await migrateUp(fakeDb);
+
+        expect(names).toEqual([LATEST]);
+        expect(fakeDb.calls(/INSERT INTO schema_migrations/).map(call => call.params)).toEqual([[LATEST, 2]]);
+    });
+
+    test('does nothing when every migration is applied', async () => {
+        applied = MIGRATIONS.map(name => ({ name, batch: 1, applied_at: new Date() }));
+
+        expect(await migrateUp(fakeDb)).toEqual([]);
+        expect(fakeDb.calls(/INSERT INTO schema_migrations|ALTER TABLE/)).toEqual([]);
+    });
+
+    test('holds the migration lock while migrating and releases it afterwards', async () => {
+        applyAllButLatest();
+
+        await migrateUp(fakeDb);
+
+        const statements = fakeDb.calls().map(call => call.sql);
+        expect(statements[0]).toMatch(/GET_LOCK/);
+        expect(statements[statements.length - 1]).toMatch(/RELEASE_LOCK/);
+    });
+
+    test('refuses to migrate when another process holds the lock', async () => {
+        fakeDb.reset();
+        fakeDb.on(/GET_LOCK/, () => [{ acquired: 0 }]);
+
+        await expect(migrateUp(fakeDb)).rejects.toThrow(/another process/);
+        expect(fakeDb.calls(/schema_migrations|RELEASE_LOCK/)).toEqual([]);
+    });
+});
+
+describe('migrateDown', () => {
+    test('rolls back the newest migration', async () => {
+        applyAllButLatest();
+        await migrateUp(fakeDb);
+
+        const names = await migrateDown(fakeDb);
+
+        expect(names).toEqual([LATEST]);
+        expect(applied.map(row => row.name)).toEqual(MIGRATIONS.slice(0, -1));
+        expect(fakeDb.calls(/DELETE FROM schema_migrations/).map(call => call.params)).toEqual([[LATEST]]);
+    });
+});
+
+describe('migration helpers', () => {
+    test('addColumn adds a missing column and skips one that exists', async () => {
+        expect(await addColumn(fakeDb, 'products', 'brand', 'VARCHAR(100) NULL')).toBe(true);
+        expect(await addColumn(fakeDb, 'products', 'brand', 'VARCHAR(100) NULL')).toBe(false);
+
+        expect(fakeDb.calls(/ALTER TABLE/).map(call => call.sql)).toEqual(['ALTER TABLE products ADD COLUMN brand VARCHAR(100) NULL']);
+    });
+
+    test('dropColumn drops an existing column and skips a missing one', async () => {
+        columns.add('products.brand');
+
+        await dropColumn(fakeDb, 'products', 'brand');
+        await dropColumn(fakeDb, 'products', 'brand');
+
+        expect(fakeDb.calls(/ALTER TABLE/).map(call => call.sql)).toEqual(['ALTER TABLE products DROP COLUMN brand']);
+    });
+});
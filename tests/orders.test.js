@@ -0,0 +1,221 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp, signIn } = require('./helpers/app');
+
+const CUSTOMER = { id: 2, username: 'customer', email: 'customer@example.com', role: 'customer' };
+const STAFF = { id: 1, username: 'staff', email: 'staff@example.com', role: 'employee' };
+
+let app;
+let auth;
+let products;
+let orders;
+let orderItems;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    auth = signIn(CUSTOMER);
+
+    products = [
+        { id: 1, name: 'Cement 50kg', price: 400, unit: 'bag', allow_decimal: 0, stock_quantity: 10, hsn_code: '2523', gst_rate: 28 },
+        { id: 2, name: 'TMT Bar 12mm', price: 70, unit: 'kg', allow_decimal: 1, stock_quantity: 500, hsn_code: '7214', gst_rate: 18 }
+    ];
+    orders = [];
+    orderItems = [];
+
+    fakeDb
+        .on(/FROM products WHERE id = \? FOR UPDATE/, ([id]) => products.filter(product => product.id === id))
+        .on(/UPDATE products SET stock_quantity = stock_quantity - \?/, ([quantity, id]) => {
+            products.find(product => product.id === id).stock_quantity -= quantity;
+            return { affectedRows: 1 };
+        })
+        .on(/UPDATE products SET stock_quantity = stock_quantity \+ \?/, ([quantity, id]) => {
+            products.find(product => product.id === id).stock_quantity += quantity;
+            return { affectedRows: 1 };
+        })
+        .on(/INSERT INTO orders \(/, (params) => {
+            orders.push({ id: orders.length + 10, user_id: params[0], status: 'pending', place_of_supply: params[8] });
+            return { affectedRows: 1, insertId: orders.length + 9 };
+        })
+        .on(/INSERT INTO order_items/, (params) => {
+            orderItems.push({ order_id: params[0], product_id: params[1], base_quantity: params[5] });
+            return { affectedRows: 1, insertId: orderItems.length };
+        })
+        .on(/FROM order_items WHERE order_id = \? ORDER BY product_id/, ([orderId]) => orderItems.filter(item => item.order_id === orderId))
+        .on(/SELECT id, status FROM orders WHERE id = \? AND user_id = \? FOR UPDATE/, ([id, userId]) => orders
+            .filter(order => order.id === id && order.user_id === userId)
+            .map(order => ({ ...order })))
+        .on(/SELECT id, status FROM orders WHERE id = \? FOR UPDATE/, ([id]) => orders
+            .filter(order => order.id === id)
+            .map(order => ({ ...order })))
+        .on(/UPDATE orders SET status = \?/, ([status, id]) => {
+            orders.find(order => order.id === id).status = status;
+            return { affectedRows: 1 };
+        });
+});
+
+const placeOrder = (items) => request(app)
+    .post('/api/orders')
+    .set('Authorization', auth)
+    .send({ items, shipping_address: '12 Anna Salai, Chennai', shipping_state: 'Tamil Nadu' });
+
+describe('POST /api/orders stock', () => {
+    test('takes the ordered quantities out of stock', async () => {
+        const res = await placeOrder([{ product_id: 1, quantity: 4 }, { product_id: 2, quantity: 120.5 }]);
+
+        expect(res.status).toBe(201);
+        expect(products.map(product => product.stock_quantity)).toEqual([6, 379.5]);
+    });
+
+    test('lists every line that cannot be fulfilled and reserves nothing', async () => {
+        const res = await placeOrder([
+            { product_id: 1, quantity: 12 },
+            { product_id: 2, quantity: 100 },
+            { product_id: 9, quantity: 1 }
+        ]);
+
+        expect(res.status).toBe(409);
+        expect(res.body.items).toEqual([
+            { product_id: 1, name: 'Cement 50kg', unit: 'bag', requested: 12, available: 10, error: 'Only 10 bag in stock' },
+            { product_id: 9, requested: 1, available: 0, error: 'Product not found' }
+        ]);
+        expect(products.map(product => product.stock_quantity)).toEqual([10, 500]);
+        expect(orders).toHaveLength(0);
+    });
+
+    test('counts repeated lines for the same product together', async () => {
+        const res = await placeOrder([{ product_id: 1, quantity: 6 }, { product_id: 1, quantity: 6 }]);
+
+        expect(res.status).toBe(409);
+        expect(res.body.items).toEqual([expect.objectContaining({ product_id: 1, requested: 12, available: 10 })]);
+    });
+});
+
+describe('POST /api/orders/:id/cancel', () => {
+    test('returns the order items to stock', async () => {
+        const placed = await placeOrder([{ product_id: 1, quantity: 4 }, { product_id: 2, quantity: 120.5 }]);
+        expect(products.map(product => product.stock_quantity)).toEqual([6, 379.5]);
+
+        const res = await request(app).post(`/api/orders/${placed.body.order.id}/cancel`).set('Authorization', auth).send({});
+
+        expect(res.status).toBe(200);
+        expect(res.body.order).toMatchObject({ previous_status: 'pending', status: 'cancelled' });
+        expect(products.map(product => product.stock_quantity)).toEqual([10, 500]);
+    });
+
+    test('does not return stock twice for an order that is already cancelled', async () => {
+        const placed = await placeOrder([{ product_id: 1, quantity: 4 }]);
+        await request(app).post(`/api/orders/${placed.body.order.id}/cancel`).set('Authorization', auth).send({});
+
+        const res = await request(app).post(`/api/orders/${placed.body.order.id}/cancel`).set('Authorization', auth).send({});
+
+        expect(res.status).toBe(409);
+        expect(products[0].stock_quantity).toBe(10);
+    });
+});
+
+describe('PUT /api/orders/:id/status', () => {
+    const history = () => fakeDb.calls(/INSERT INTO order_status_history/).map(call => call.params);
+
+    beforeEach(() => {
+        orders.push({ id: 20, user_id: CUSTOMER.id, status: 'confirmed' });
+    });
+
+    const setStatus = (status, note) => request(app)
+        .put('/api/orders/20/status')
+        .set('Authorization', signIn(STAFF))
+        .send({ status, note });
+
+    test('moves an order along an allowed transition and records it in the timeline', async () => {
+        const res = await setStatus('shipped', 'Dispatched on TN-09-AB-1234');
+
+        expect(res.status).toBe(200);
+        expect(res.body.order).toEqual({ id: 20, previous_status: 'confirmed', status: 'shipped' });
+        expect(orders[0].status).toBe('shipped');
+        expect(history()).toEqual([[20, 'confirmed', 'shipped', STAFF.id, 'Dispatched on TN-09-AB-1234']]);
+    });
+
+    test('rejects a transition that is not allowed and records nothing', async () => {
+        const res = await setStatus('delivered');
+
+        expect(res.status).toBe(409);
+        expect(res.body.allowed_statuses).toEqual(['shipped', 'cancelled']);
+        expect(orders[0].status).toBe('confirmed');
+        expect(history()).toEqual([]);
+    });
+
+    test('records placing and cancelling an order', async () => {
+        const placed = await placeOrder([{ product_id: 1, quantity: 1 }]);
+        await request(app).post(`/api/orders/${placed.body.order.id}/cancel`).set('Authorization', auth).send({ note: 'Ordered twice' });
+
+        expect(history()).toEqual([
+            [placed.body.order.id, null, 'pending', CUSTOMER.id, 'Order placed'],
+            [placed.body.order.id, 'pending', 'cancelled', CUSTOMER.id, 'Ordered twice']
+        ]);
+    });
+});
+
+describe('POST /api/orders GST', () => {
+    // 2 bags of cement at 28% and 10 kg of steel at 18%: 1500.00 taxable, 350.00 GST
+    const orderTo = (shippingState) => request(app)
+        .post('/api/orders')
+        .set('Authorization', auth)
+        .send({ items: [{ product_id: 1, quantity: 2 }, { product_id: 2, quantity: 10 }], shipping_state: shippingState });
+
+    test('splits GST into CGST and SGST inside the seller\'s state', async () => {
+        const res = await orderTo('Tamil Nadu');
+
+        expect(res.status).toBe(201);
+        expect(res.body.order.tax).toEqual({
+            taxable_amount: 1500, cgst_amount: 175, sgst_amount: 175, igst_amount: 0, tax_amount: 350,
+            place_of_supply: 'Tamil Nadu', interstate: false
+        });
+        expect(res.body.order.total_amount).toBe(1850);
+    });
+
+    test('charges IGST for delivery to another state', async () => {
+        const res = await orderTo('Karnataka');
+
+        expect(res.status).toBe(201);
+        expect(res.body.order.tax).toMatchObject({
+            cgst_amount: 0, sgst_amount: 0, igst_amount: 350, tax_amount: 350, place_of_supply: 'Karnataka', interstate: true
+        });
+        expect(res.body.order.total_amount).toBe(1850);
+    });
+
+    test('accepts a GST state code and stores the state name', async () => {
+        const inState = await orderTo('33');
+        const otherState = await orderTo('29');
+
+        expect(inState.body.order.tax).toMatchObject({ place_of_supply: 'Tamil Nadu', interstate: false, cgst_amount: 175 });
+        expect(otherState.body.order.tax).toMatchObject({ place_of_supply: 'Karnataka', interstate: true, igst_amount: 350 });
+        expect(orders.map(order => order.place_of_supply)).toEqual(['Tamil Nadu', 'Karnataka']);
+    });
+
+    test('requires a place of supply', async () => {
+        const res = await orderTo(null);
+
+        expect(res.status).toBe(400);
+        expect(res.body.fields).toEqual({ shipping_state: 'shipping_state is required' });
+        expect(orders).toHaveLength(0);
+    });
+
+    test('rejects a state that is not an Indian state or GST state code', async () => {
+        const res = await orderTo('Atlantis');
+
+        expect(res.status).toBe(400);
+        expect(res.body.fields).toHaveProperty('shipping_state');
+        expect(orders).toHaveLength(0);
+    });
+});
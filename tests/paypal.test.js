@@ -0,0 +1,142 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp, signIn } = require('./helpers/app');
+
+const CUSTOMER = { id: 2, username: 'customer', email: 'customer@example.com', role: 'customer' };
+
+let app;
+let auth;
+let order;
+let payment;
+let paypal;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+// A PayPal capture of amount for order 10
+const capture = (amount, overrides = {}) => ({
+    id: 'CAPTURE-1', status: 'COMPLETED', reference: '10', amount, currency: 'INR', ...overrides
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    auth = signIn(CUSTOMER);
+
+    order = { id: 10, user_id: CUSTOMER.id, status: 'pending', payment_status: 'pending', total_amount: 1180, currency: 'INR' };
+    payment = { id: 7, order_id: 10, payment_method: 'paypal', gateway_order_id: 'PAYPAL-ORDER-1', status: 'pending', amount: 1180 };
+    const refunds = [];
+
+    fakeDb
+        .on(/FROM orders WHERE id = \? AND user_id = \? FOR UPDATE/, () => [order])
+        .on(/SELECT \* FROM orders WHERE id = \? FOR UPDATE/, () => [order])
+        .on(/SELECT total_amount FROM orders/, () => [{ total_amount: order.total_amount }])
+        .on(/UPDATE orders SET payment_status = \?/, (params, sql) => {
+            // Refund roll-ups only touch orders that were paid
+            if (/payment_status IN/.test(sql) && !['paid', 'partially_refunded', 'refunded'].includes(order.payment_status)) {
+                return { affectedRows: 0 };
+            }
+            order.payment_status = params[0];
+            return { affectedRows: 1 };
+        })
+        .on(/gateway_order_id = \? FOR UPDATE/, (params) => (params[0] === payment.gateway_order_id ? [payment] : []))
+        .on(/FROM payments\s+WHERE order_id = \?/, () => (payment.status === 'pending' ? [] : [payment]))
+        .on(/UPDATE payments SET transaction_id = \?, amount = \?, status = '(\w+)'/, (params, sql) => {
+            Object.assign(payment, { transaction_id: params[0], amount: params[1], status: sql.match(/status = '(\w+)'/)[1] });
+            return { affectedRows: 1 };
+        })
+        .on(/UPDATE payments SET status = \?/, (params) => {
+            payment.status = params[0];
+            return { affectedRows: 1 };
+        })
+        .on(/SUM\(amount\) AS refunded FROM refunds/, () => refunds.map(refund => ({ payment_id: refund.payment_id, refunded: refund.amount })))
+        .on(/INSERT INTO refunds/, (params) => {
+            refunds.push({ payment_id: params[0], amount: params[2] });
+            return { affectedRows: 1, insertId: refunds.length };
+        });
+
+    paypal = {
+        captureOrder: jest.fn(async () => capture(1180)),
+        getCapture: jest.fn(async () => null),
+        refund: jest.fn(async () => ({ id: 'REFUND-1', status: 'succeeded' }))
+    };
+    app.locals.paymentGateways = { paypal };
+});
+
+const capturePayment = () => request(app)
+    .post('/api/payments/paypal')
+    .set('Authorization', auth)
+    .send({ order_id: 10, paypal_order_id: 'PAYPAL-ORDER-1' });
+
+describe('POST /api/payments/paypal', () => {
+    test('marks the order paid when the capture matches the order total', async () => {
+        const res = await capturePayment();
+
+        expect(res.status).toBe(200);
+        expect(res.body.payment).toMatchObject({ id: 'CAPTURE-1', amount: 1180, status: 'completed' });
+        expect(order.payment_status).toBe('paid');
+        expect(paypal.refund).not.toHaveBeenCalled();
+    });
+
+    test('refunds a capture whose amount does not match the order total', async () => {
+        paypal.captureOrder.mockResolvedValue(capture(1000));
+
+        const res = await capturePayment();
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/did not match the order total/);
+        expect(payment).toMatchObject({ status: 'refunded', transaction_id: 'CAPTURE-1', amount: 1000 });
+        expect(paypal.refund).toHaveBeenCalledWith('CAPTURE-1', 1000, 'INR', 1);
+        expect(order.payment_status).toBe('pending');
+    });
+
+    test('refunds a capture in another currency', async () => {
+        paypal.captureOrder.mockResolvedValue(capture(1180, { currency: 'USD' }));
+
+        const res = await capturePayment();
+
+        expect(res.status).toBe(400);
+        expect(paypal.refund).toHaveBeenCalledWith('CAPTURE-1', 1180, 'INR', 1);
+        expect(order.payment_status).toBe('pending');
+    });
+
+    test('refunds a capture for an order cancelled while the buyer was at PayPal', async () => {
+        paypal.captureOrder.mockImplementation(async () => {
+            order.status = 'cancelled';
+            return capture(1180);
+        });
+
+        const res = await capturePayment();
+
+        expect(res.status).toBe(409);
+        expect(paypal.refund).toHaveBeenCalledWith('CAPTURE-1', 1180, 'INR', 1);
+    });
+
+    test('records a capture made by an earlier interrupted attempt', async () => {
+        paypal.captureOrder.mockRejectedValue(new Error('ORDER_ALREADY_CAPTURED'));
+        paypal.getCapture.mockResolvedValue(capture(1180));
+
+        const res = await capturePayment();
+
+        expect(res.status).toBe(200);
+        expect(paypal.getCapture).toHaveBeenCalledWith('PAYPAL-ORDER-1');
+        expect(order.payment_status).toBe('paid');
+    });
+
+    test('rejects a PayPal order created for another order', async () => {
+        payment.order_id = 11;
+
+        const res = await capturePayment();
+
+        expect(res.status).toBe(400);
+        expect(paypal.captureOrder).not.toHaveBeenCalled();
+    });
+});
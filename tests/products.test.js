@@ -0,0 +1,84 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp, signIn } = require('./helpers/app');
+
+const STAFF = { id: 1, username: 'staff', email: 'staff@example.com', role: 'employee' };
+const IMAGE_DIR = path.join(process.env.UPLOAD_DIR, 'products');
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+let app;
+let auth;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    auth = signIn(STAFF);
+});
+
+const uploadedFiles = () => fs.readdirSync(IMAGE_DIR);
+
+describe('product image uploads', () => {
+    test('removes the uploaded image when the product cannot be created', async () => {
+        fakeDb.on(/INSERT INTO products/, () => {
+            throw new Error('Connection lost');
+        });
+        const before = uploadedFiles();
+
+        const res = await request(app)
+            .post('/api/products')
+            .set('Authorization', auth)
+            .field('name', 'Cement 50kg')
+            .field('price', '420')
+            .attach('image', PNG, 'cement.png');
+
+        expect(res.status).toBe(500);
+        expect(uploadedFiles()).toEqual(before);
+    });
+
+    test('removes the replacement image when the product update fails', async () => {
+        fakeDb
+            .on(/SELECT \* FROM products WHERE id = \?/, () => [{ id: 3, image_url: null }])
+            .on(/UPDATE products SET/, () => {
+                throw new Error('Connection lost');
+            });
+        const before = uploadedFiles();
+
+        const res = await request(app)
+            .put('/api/products/3')
+            .set('Authorization', auth)
+            .attach('image', PNG, 'cement.png');
+
+        expect(res.status).toBe(500);
+        expect(uploadedFiles()).toEqual(before);
+    });
+
+    test('keeps the image of a product that was saved', async () => {
+        fakeDb.on(/INSERT INTO products/, () => ({ affectedRows: 1, insertId: 3 }));
+        const before = uploadedFiles();
+
+        const res = await request(app)
+            .post('/api/products')
+            .set('Authorization', auth)
+            .field('name', 'Cement 50kg')
+            .field('price', '420')
+            .attach('image', PNG, 'cement.png');
+
+        expect(res.status).toBe(201);
+        const added = uploadedFiles().filter(file => !before.includes(file));
+        expect(added).toEqual([expect.stringMatching(/\.png$/)]);
+        fs.unlinkSync(path.join(IMAGE_DIR, added[0]));
+    });
+});
@@ -0,0 +1,51 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp, signIn } = require('./helpers/app');
+
+const CUSTOMER = { id: 2, username: 'customer', email: 'customer@example.com', role: 'customer' };
+
+let app;
+let auth;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    auth = signIn(CUSTOMER);
+    fakeDb.on(/SELECT \* FROM users WHERE id = \? FOR UPDATE/, () => [{ ...CUSTOMER, full_name: null }]);
+});
+
+describe('PUT /api/profile', () => {
+    test('rejects an email that belongs to another account', async () => {
+        fakeDb.on(/SELECT id FROM users WHERE email = \?/, () => [{ id: 3 }]);
+
+        const res = await request(app).put('/api/profile').set('Authorization', auth).send({ email: 'taken@example.com' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.fields).toEqual({ email: 'Email is already registered to another account' });
+    });
+
+    test('returns 409 when another request claims the email before the update', async () => {
+        fakeDb.on(/UPDATE users SET/, () => {
+            throw Object.assign(new Error("Duplicate entry 'taken@example.com' for key 'users.email'"), { code: 'ER_DUP_ENTRY' });
+        });
+
+        const res = await request(app).put('/api/profile').set('Authorization', auth).send({ email: 'taken@example.com' });
+
+        expect(res.status).toBe(409);
+        expect(res.body).toEqual({
+            error: 'Email is already registered to another account',
+            fields: { email: 'Email is already registered to another account' }
+        });
+    });
+});
@@ -0,0 +1,148 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp, signIn } = require('./helpers/app');
+
+const STAFF = { id: 1, username: 'staff', email: 'staff@example.com', role: 'employee' };
+
+let app;
+let auth;
+let refunds;
+let gateway;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    auth = signIn(STAFF);
+    refunds = [];
+
+    // Order 10, paid with one 1000.00 card payment
+    const payment = { id: 5, order_id: 10, amount: 1000, status: 'completed', payment_method: 'stripe', transaction_id: 'pi_123' };
+    fakeDb
+        .on(/SELECT \* FROM orders WHERE id = \? FOR UPDATE/, () => [
+            { id: 10, status: 'delivered', payment_status: 'paid', total_amount: 1000, currency: 'INR' }
+        ])
+        .on(/SELECT total_amount FROM orders/, () => [{ total_amount: 1000 }])
+        .on(/FROM payments\s+WHERE order_id = \?/, () => [payment])
+        .on(/SUM\(amount\) AS refunded FROM refunds/, () => {
+            const refunded = refunds.filter(refund => refund.status !== 'failed')
+                .reduce((sum, refund) => sum + refund.amount, 0);
+            return refunded > 0 ? [{ payment_id: payment.id, refunded }] : [];
+        })
+        .on(/status = 'pending' AND gateway_refund_id IS NULL/, () => refunds
+            .filter(refund => refund.status === 'pending' && !refund.gateway_refund_id)
+            .slice(0, 1))
+        .on(/INSERT INTO refunds/, (params) => {
+            refunds.push({ id: refunds.length + 1, payment_id: params[0], amount: params[2], status: 'pending', gateway_refund_id: null });
+            return { affectedRows: 1, insertId: refunds.length };
+        })
+        .on(/UPDATE refunds SET/, (params, sql) => {
+            const refund = refunds.find(row => row.id === params[params.length - 1]);
+            refund.gateway_refund_id = params[0];
+            refund.status = /status = 'failed'/.test(sql) ? 'failed' : params[1];
+            return { affectedRows: 1 };
+        });
+
+    gateway = { refund: jest.fn(async () => ({ id: 're_1', status: 'succeeded' })) };
+    app.locals.paymentGateways = { stripe: gateway };
+});
+
+describe('POST /api/orders/:id/refunds', () => {
+    test('refunds part of a payment through the gateway', async () => {
+        const res = await request(app)
+            .post('/api/orders/10/refunds')
+            .set('Authorization', auth)
+            .send({ amount: 400, reason: 'Damaged bags' });
+
+        expect(res.status).toBe(201);
+        expect(gateway.refund).toHaveBeenCalledWith('pi_123', 400, 'INR', 1);
+        expect(res.body.refund).toMatchObject({ payment_id: 5, amount: 400, status: 'succeeded' });
+        expect(res.body.refundable_remaining).toBe(600);
+        expect(refunds).toEqual([expect.objectContaining({ amount: 400, status: 'succeeded' })]);
+    });
+
+    test('rejects a refund larger than what is still refundable', async () => {
+        await request(app).post('/api/orders/10/refunds').set('Authorization', auth).send({ amount: 700 });
+        gateway.refund.mockClear();
+
+        const res = await request(app)
+            .post('/api/orders/10/refunds')
+            .set('Authorization', auth)
+            .send({ amount: 400 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.refundable).toBe(300);
+        expect(gateway.refund).not.toHaveBeenCalled();
+        expect(refunds).toHaveLength(1);
+    });
+
+    test('defaults to everything still refundable', async () => {
+        refunds.push({ id: 1, payment_id: 5, amount: 250, status: 'succeeded' });
+
+        const res = await request(app).post('/api/orders/10/refunds').set('Authorization', auth).send({});
+
+        expect(res.status).toBe(201);
+        expect(gateway.refund).toHaveBeenCalledWith('pi_123', 750, 'INR', 2);
+        expect(res.body.refundable_remaining).toBe(0);
+    });
+
+    test('records the refund before calling the gateway and releases it when the gateway declines', async () => {
+        gateway.refund.mockImplementation(async () => {
+            expect(refunds).toEqual([expect.objectContaining({ amount: 1000, status: 'pending' })]);
+            return { id: null, status: 'failed' };
+        });
+
+        const res = await request(app).post('/api/orders/10/refunds').set('Authorization', auth).send({ amount: 1000 });
+
+        expect(res.status).toBe(502);
+        expect(refunds[0].status).toBe('failed');
+
+        // A declined refund no longer counts against the payment
+        gateway.refund.mockImplementation(async () => ({ id: 're_2', status: 'succeeded' }));
+        const retry = await request(app).post('/api/orders/10/refunds').set('Authorization', auth).send({ amount: 1000 });
+        expect(retry.status).toBe(201);
+        expect(refunds).toHaveLength(2);
+    });
+
+    test('keeps a refund pending when the gateway does not answer and re-sends the same refund on retry', async () => {
+        gateway.refund.mockRejectedValueOnce(new Error('ETIMEDOUT'));
+
+        const res = await request(app).post('/api/orders/10/refunds').set('Authorization', auth).send({ amount: 600 });
+
+        expect(res.status).toBe(502);
+        expect(res.body.refund_id).toBe(1);
+        expect(refunds).toEqual([expect.objectContaining({ id: 1, amount: 600, status: 'pending', gateway_refund_id: null })]);
+
+        // The unconfirmed amount still counts, so nothing more than the rest can be refunded
+        const different = await request(app).post('/api/orders/10/refunds').set('Authorization', auth).send({ amount: 400 });
+        expect(different.status).toBe(409);
+
+        const retry = await request(app).post('/api/orders/10/refunds').set('Authorization', auth).send({ amount: 600 });
+
+        expect(retry.status).toBe(201);
+        expect(gateway.refund).toHaveBeenCalledTimes(2);
+        expect(gateway.refund).toHaveBeenLastCalledWith('pi_123', 600, 'INR', 1);
+        expect(refunds).toEqual([expect.objectContaining({ id: 1, status: 'succeeded', gateway_refund_id: 're_1' })]);
+        expect(retry.body.refundable_remaining).toBe(400);
+    });
+
+    test('is staff only', async () => {
+        fakeDb.reset();
+        const customerAuth = signIn({ id: 2, username: 'customer', email: 'customer@example.com', role: 'customer' });
+
+        const res = await request(app).post('/api/orders/10/refunds').set('Authorization', customerAuth).send({ amount: 10 });
+
+        expect(res.status).toBe(403);
+        expect(gateway.refund).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,139 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp } = require('./helpers/app');
+
+const CUSTOMER = { id: 2, username: 'customer', email: 'customer@example.com', role: 'customer' };
+
+let app;
+let refreshTokens;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const revoke = (rows, reason) => rows
+    .filter(row => !row.revoked_at)
+    .forEach(row => Object.assign(row, { revoked_at: new Date(), revoked_reason: reason }));
+
+beforeEach(() => {
+    fakeDb.reset();
+    // One live session, family "family-1", whose current refresh token is "refresh-1"
+    refreshTokens = [{
+        id: 1, user_id: CUSTOMER.id, family_id: 'family-1', token_hash: hashToken('refresh-1'),
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000), revoked_at: null, revoked_reason: null
+    }];
+
+    fakeDb
+        .on(/FROM users u WHERE u\.id = \?/, ([familyId, userId]) => (userId === CUSTOMER.id
+            ? [{
+                ...CUSTOMER,
+                email_verified_at: new Date(),
+                session_active: refreshTokens.some(row => row.family_id === familyId && !row.revoked_at) ? 1 : 0
+            }]
+            : []))
+        .on(/SELECT id, username, email, role FROM users WHERE id = \?/, () => [CUSTOMER])
+        .on(/FROM refresh_tokens WHERE token_hash = \?/, ([tokenHash]) => refreshTokens
+            .filter(row => row.token_hash === tokenHash)
+            .map(row => ({ ...row })))
+        .on(/INSERT INTO refresh_tokens/, ([userId, familyId, tokenHash]) => {
+            refreshTokens.push({
+                id: refreshTokens.length + 1, user_id: userId, family_id: familyId, token_hash: tokenHash,
+                expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000), revoked_at: null, revoked_reason: null
+            });
+            return { affectedRows: 1, insertId: refreshTokens.length };
+        })
+        .on(/UPDATE refresh_tokens SET .*'rotated' WHERE id = \?/, ([id]) => {
+            revoke(refreshTokens.filter(row => row.id === id), 'rotated');
+            return { affectedRows: 1 };
+        })
+        .on(/UPDATE refresh_tokens SET .*'(reuse_detected|logout)' WHERE family_id = \?/, ([familyId], sql) => {
+            revoke(refreshTokens.filter(row => row.family_id === familyId), sql.match(/'(reuse_detected|logout)'/)[1]);
+            return { affectedRows: 1 };
+        });
+});
+
+const refresh = (refreshToken) => request(app).post('/api/token/refresh').send({ refresh_token: refreshToken });
+const accessToken = (sessionId) => jwt.sign({ id: CUSTOMER.id, role: CUSTOMER.role, sid: sessionId }, process.env.JWT_SECRET);
+
+describe('POST /api/token/refresh', () => {
+    test('rotates the refresh token within the same session', async () => {
+        const res = await refresh('refresh-1');
+
+        expect(res.status).toBe(200);
+        expect(res.body.refresh_token).not.toBe('refresh-1');
+        expect(jwt.decode(res.body.token)).toMatchObject({ id: CUSTOMER.id, sid: 'family-1' });
+        expect(refreshTokens).toEqual([
+            expect.objectContaining({ id: 1, family_id: 'family-1', revoked_reason: 'rotated' }),
+            expect.objectContaining({ id: 2, family_id: 'family-1', token_hash: hashToken(res.body.refresh_token), revoked_at: null })
+        ]);
+
+        const next = await refresh(res.body.refresh_token);
+        expect(next.status).toBe(200);
+    });
+
+    test('revokes the whole session when a rotated token is used again', async () => {
+        const rotated = await refresh('refresh-1');
+
+        const reused = await refresh('refresh-1');
+
+        expect(reused.status).toBe(401);
+        expect(reused.body.code).toBe('session_ended');
+        expect(refreshTokens[1]).toMatchObject({ revoked_reason: 'reuse_detected' });
+
+        // Neither the legitimate client nor the attacker can continue the session
+        const afterReuse = await refresh(rotated.body.refresh_token);
+        expect(afterReuse.status).toBe(401);
+        const tickets = await request(app).get('/api/tickets').set('Authorization', `Bearer ${rotated.body.token}`);
+        expect(tickets.status).toBe(401);
+    });
+
+    test('rejects an unknown refresh token', async () => {
+        const res = await refresh('not-a-token');
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('session_ended');
+    });
+});
+
+describe('access tokens for ended sessions', () => {
+    beforeEach(async () => {
+        await request(app).post('/api/logout').send({ refresh_token: 'refresh-1' });
+    });
+
+    test('are refused by authenticated routes', async () => {
+        const res = await request(app).get('/api/tickets').set('Authorization', `Bearer ${accessToken('family-1')}`);
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('session_ended');
+    });
+
+    test('are treated as anonymous where signing in is optional', async () => {
+        const res = await request(app)
+            .post('/api/contact')
+            .set('Authorization', `Bearer ${accessToken('family-1')}`)
+            .send({ name: 'Customer', email: 'customer@example.com', message: 'Do you deliver to Vellore?' });
+
+        expect(res.status).toBe(201);
+        expect(fakeDb.calls(/INSERT INTO support_tickets/)[0].params[0]).toBeNull();
+    });
+
+    test('do not affect another live session of the same user', async () => {
+        refreshTokens.push({ id: 2, user_id: CUSTOMER.id, family_id: 'family-2', token_hash: hashToken('refresh-2'), revoked_at: null });
+
+        const res = await request(app).get('/api/tickets').set('Authorization', `Bearer ${accessToken('family-2')}`);
+
+        expect(res.status).toBe(200);
+    });
+});
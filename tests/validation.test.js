@@ -0,0 +1,61 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDb'));
+
+const request = require('supertest');
+const { fakeDb } = require('./helpers/fakeDb');
+const { loadApp, signIn } = require('./helpers/app');
+
+const CUSTOMER = { id: 2, username: 'customer', email: 'customer@example.com', role: 'customer' };
+
+let app;
+let auth;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    app = await loadApp();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    fakeDb.reset();
+    auth = signIn(CUSTOMER);
+});
+
+// app.js puts `error` on the thrown Error and passes `fields` to FormValidator.showValidationErrors
+describe('validation errors', () => {
+    test('return every invalid field with the first message as the error', async () => {
+        const res = await request(app)
+            .post('/api/register')
+            .send({ username: 'no spaces', email: 'not-an-email' });
+
+        expect(res.status).toBe(400);
+        expect(Object.keys(res.body)).toEqual(['error', 'fields']);
+        expect(Object.keys(res.body.fields)).toEqual(['username', 'email', 'password']);
+        expect(res.body.fields.username).toBe('username may only contain letters, numbers and underscores');
+        expect(res.body.error).toBe(res.body.fields.username);
+        expect(fakeDb.calls(/users/)).toEqual([]);
+    });
+
+    test('key nested fields by their dotted path', async () => {
+        const res = await request(app)
+            .post('/api/orders')
+            .set('Authorization', auth)
+            .send({ items: [{ product_id: 1, quantity: 2 }, { product_id: 2, quantity: -1 }], shipping_state: 'Tamil Nadu' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.fields).toEqual({ 'items.1.quantity': 'quantity must be a positive number' });
+    });
+
+    test('cover route params and query strings too', async () => {
+        const params = await request(app).get('/api/orders/abc').set('Authorization', auth);
+        const query = await request(app).get('/api/products?sort=cheapest&page=0');
+
+        expect(params.status).toBe(400);
+        expect(Object.keys(params.body.fields)).toEqual(['id']);
+        expect(query.status).toBe(400);
+        expect(Object.keys(query.body.fields)).toEqual(['sort', 'page']);
+    });
+});